@@ -0,0 +1,366 @@
+// Claude-backed analysis steps of the audit. Calls go through the
+// configured provider (see llm.js).
+
+import { createMessage } from './llm.js';
+import { validate } from './validate.js';
+
+// One first try plus up to two corrections
+const MAX_ATTEMPTS = 3;
+
+// Pull the first JSON object out of a Claude response, or null if there isn't one
+function parseJsonResponse(response, label) {
+  for (const block of response.content) {
+    if (block.type === 'text') {
+      try {
+        const jsonMatch = block.text.match(/\{[\s\S]*\}/);
+        if (jsonMatch) {
+          return JSON.parse(jsonMatch[0]);
+        }
+      } catch (e) {
+        console.error(`Error parsing ${label}:`, e);
+      }
+    }
+  }
+  return null;
+}
+
+const text = (description) => ({ type: 'string', minLength: 1, description });
+const texts = (description, limits = {}) => ({ type: 'array', items: { type: 'string', minLength: 1 }, description, ...limits });
+
+// Each step answers by calling its tool; input_schema is both what Claude is
+// asked for and what the answer is validated against
+const TOOLS = {
+  messaging: {
+    name: 'record_messaging',
+    description: "Record the brand's messaging essence",
+    input_schema: {
+      type: 'object',
+      required: ['positioning', 'voiceAdjectives', 'voiceSummary'],
+      properties: {
+        positioning: text('10 words max: what they do + for whom'),
+        voiceAdjectives: texts('Three adjectives for their voice', { minItems: 1, maxItems: 5 }),
+        voiceSummary: text('One short sentence capturing their tone')
+      }
+    }
+  },
+  firstImpressions: {
+    name: 'record_first_impressions',
+    description: "Record a potential customer's first impression of the brand",
+    input_schema: {
+      type: 'object',
+      required: ['firstImpression', 'clarity', 'appeal'],
+      properties: {
+        firstImpression: text('2-3 sentences: what would a customer think when they first encounter this brand?'),
+        clarity: text('One sentence: is it immediately clear what they do?'),
+        appeal: text('One sentence: would a customer want to learn more?'),
+        mobileImpression: text('Only when there is a mobile screenshot. One sentence: how does the phone above-the-fold land compared with desktop?')
+      }
+    }
+  },
+  visuals: {
+    name: 'record_visual_identity',
+    description: "Record the brand's visual identity as seen in the screenshot",
+    input_schema: {
+      type: 'object',
+      required: ['colors', 'typography', 'visualStyle'],
+      properties: {
+        colors: text("The 2-4 main brand colors, e.g. 'navy blue, white, coral accent'"),
+        typography: text("e.g. 'bold geometric sans-serif', 'elegant serif', 'clean grotesque'"),
+        visualStyle: text("Imagery/art direction, e.g. 'lifestyle photography, warm tones', 'abstract illustrations', 'type-focused, minimal'"),
+        mobileStyle: text("Only when there is a mobile screenshot. How the identity holds up on a phone, e.g. 'hero image cropped, logo shrinks'"),
+        sectionImagery: {
+          type: 'array',
+          description: 'Only when there are page sections: the imagery style of each one',
+          items: {
+            type: 'object',
+            required: ['section', 'imagery'],
+            properties: {
+              section: { type: 'integer', minimum: 1, description: 'Section number as given' },
+              imagery: text("Under 10 words, e.g. 'customer logos, grayscale', 'product UI screenshots on gradient'")
+            }
+          }
+        }
+      }
+    }
+  },
+  comparison: {
+    name: 'record_comparison',
+    description: "Record how differentiated the company is from its competitors",
+    input_schema: {
+      type: 'object',
+      required: ['score', 'overlaps', 'standouts', 'verdict'],
+      properties: {
+        score: { type: 'integer', minimum: 0, maximum: 100, description: '0-100: how differentiated is the company? 50 = average, 80+ = truly distinct' },
+        overlaps: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['category', 'pattern', 'who'],
+            properties: {
+              category: { type: 'string', enum: ['positioning', 'voice', 'visual'] },
+              pattern: text('The generic pattern you see, 5-10 words'),
+              who: texts('The brands following the pattern', { minItems: 1 })
+            }
+          }
+        },
+        standouts: texts('Things that make the company different, if anything'),
+        verdict: text("One punchy sentence: the honest truth about the company's differentiation")
+      }
+    }
+  },
+  takeaways: {
+    name: 'record_takeaways',
+    description: 'Record actionable takeaways for the company',
+    input_schema: {
+      type: 'object',
+      required: ['keep', 'fix', 'explore', 'watch'],
+      properties: {
+        keep: texts("What's working, don't change it"),
+        fix: texts("What's holding them back, be specific"),
+        explore: texts("White space competitors aren't claiming"),
+        watch: texts('Threats or risks to be aware of')
+      }
+    }
+  },
+  competitors: {
+    name: 'record_competitors',
+    description: 'Record direct competitors of the company',
+    input_schema: {
+      type: 'object',
+      required: ['competitors'],
+      properties: {
+        competitors: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 5,
+          items: {
+            type: 'object',
+            required: ['name', 'url', 'reason'],
+            properties: {
+              name: text('Competitor name'),
+              url: text('Their domain, e.g. competitor.com'),
+              reason: text('Why they compete, 5 words max')
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const repairPrompt = (errors) => `That answer didn't match the required format:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Call the tool again with every required field filled in correctly.`;
+
+// Ask Claude for one step's structured answer. It has to call the step's tool;
+// an answer that fails validation goes back with the errors for a corrected
+// call. Resolves to the validated object, or null after MAX_ATTEMPTS.
+async function requestStructured(step, content, maxTokens) {
+  const tool = TOOLS[step];
+  const messages = [{ role: 'user', content }];
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const response = await createMessage(step, {
+      maxTokens,
+      tools: [tool],
+      toolChoice: { type: 'tool', name: tool.name },
+      messages
+    });
+
+    // Tool input is already parsed; plain-text JSON is accepted from models that answer without the tool
+    const toolUse = response.content.find(block => block.type === 'tool_use');
+    const output = toolUse ? toolUse.input : parseJsonResponse(response, step);
+    const errors = output ? validate(output, tool.input_schema) : ['no JSON object in the response'];
+    if (errors.length === 0) return output;
+
+    console.error(`Invalid ${step} response (attempt ${attempt}/${MAX_ATTEMPTS}):`, errors.join('; '));
+    // A cut-off answer needs more room, not just another try
+    if (response.stopReason === 'max_tokens') maxTokens *= 2;
+    messages.push({ role: 'assistant', content: response.content });
+    messages.push({
+      role: 'user',
+      content: toolUse
+        ? [{ type: 'tool_result', tool_use_id: toolUse.id, is_error: true, content: repairPrompt(errors) }]
+        : repairPrompt(errors)
+    });
+  }
+
+  console.error(`Giving up on ${step} after ${MAX_ATTEMPTS} attempts`);
+  return null;
+}
+
+// Other crawled pages, when there are any, as extra prompt context
+function formatPages(pages) {
+  if (!pages?.length) return '';
+  return `
+OTHER PAGES ON THE SITE:
+${pages.map(p => `--- ${p.kind.toUpperCase()} (${p.url}) ---
+H1: "${p.h1}"
+${p.text}`).join('\n\n')}
+
+Judge positioning and voice from the whole site, not just the homepage hero.
+`;
+}
+
+// Extract messaging from text content (plus any crawled pages)
+export async function extractMessaging(companyName, structuredContent) {
+  return requestStructured('messaging', `You're a senior brand strategist. Extract ${companyName}'s messaging essence.
+
+H1: "${structuredContent.h1}"
+SUBHEADLINE: "${structuredContent.subheadline}"
+${structuredContent.ctas?.length ? `CALLS TO ACTION: ${structuredContent.ctas.map(c => `"${c}"`).join(', ')}\n` : ''}
+CONTENT:
+${structuredContent.text}
+${formatPages(structuredContent.pages)}
+Be sharp and brief. Record your answer with the ${TOOLS.messaging.name} tool.`, 300);
+}
+
+// What searching the brand's name shows, as prompt text. Without a parsed
+// result, the page's own meta title and description stand in for it.
+function formatSearchResult(searchResult, metaTitle, metaDescription) {
+  if (!searchResult) {
+    return `GOOGLE SEARCH RESULT (from the page's meta tags):
+- Title: "${metaTitle}"
+- Description: "${metaDescription}"`;
+  }
+  const lines = [`GOOGLE RESULTS FOR "${searchResult.query}":`];
+  if (searchResult.rank) {
+    lines.push(`- Their site ranks #${searchResult.rank}`, `- Title: "${searchResult.title}"`, `- Description: "${searchResult.snippet}"`);
+    if (searchResult.sitelinks.length) lines.push(`- Sitelinks: ${searchResult.sitelinks.map(link => link.title).join(', ')}`);
+  } else {
+    lines.push('- Their site is not in the top results for their own name');
+  }
+  if (searchResult.ads.length) {
+    lines.push(`- Ads on the search: ${searchResult.ads.map(ad => `"${ad.title}"`).join(', ')}${searchResult.ownAd ? ' (one of them theirs)' : ''}`);
+  }
+  if (searchResult.competitorsRanking.length || searchResult.competitorAds.length) {
+    lines.push(`- Competitors showing up: ${[...new Set([...searchResult.competitorsRanking, ...searchResult.competitorAds])].join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+// Generate first impressions analysis, of the phone view too when there's a mobile screenshot
+export async function analyzeFirstImpressions(companyName, metaTitle, metaDescription, websiteScreenshot, mobileScreenshot, searchResult) {
+  const content = [
+    {
+      type: 'text',
+      text: `You're a potential customer researching ${companyName}. Based on what Google shows for them and their website homepage, what's your first impression?
+
+${formatSearchResult(searchResult, metaTitle, metaDescription)}
+
+${websiteScreenshot ? 'Look at the homepage screenshot below.' : 'The homepage could not be screenshotted, so go by the search result.'}`
+    }
+  ];
+
+  if (websiteScreenshot) {
+    content.push({
+      type: 'image',
+      source: { type: 'base64', media_type: 'image/jpeg', data: websiteScreenshot }
+    });
+  }
+
+  if (mobileScreenshot) {
+    content.push(
+      { type: 'text', text: 'The same homepage on a phone, above the fold:' },
+      { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: mobileScreenshot } }
+    );
+  }
+
+  content.push({
+    type: 'text',
+    text: `Be honest and specific. Write like a real customer, not a marketer.${mobileScreenshot ? ' Give your phone impression as mobileImpression.' : ''}
+Record your answer with the ${TOOLS.firstImpressions.name} tool.`
+  });
+
+  return requestStructured('firstImpressions', content, 300);
+}
+
+// Extract visual identity from the desktop screenshot, how it holds up in the
+// mobile one and, from a full-page capture, the imagery of each section
+export async function extractVisuals(companyName, screenshotBase64, mobileScreenshot, sections = []) {
+  if (!screenshotBase64) {
+    return { colors: 'Could not capture', typography: 'Could not capture', visualStyle: 'Could not capture' };
+  }
+
+  const visuals = await requestStructured('visuals', [
+    {
+      type: 'image',
+      source: {
+        type: 'base64',
+        media_type: 'image/jpeg',
+        data: screenshotBase64
+      }
+    },
+    ...(mobileScreenshot ? [
+      { type: 'text', text: 'The same homepage on a phone:' },
+      { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: mobileScreenshot } }
+    ] : []),
+    ...(sections.length ? [{ type: 'text', text: 'The whole homepage, section by section from top to bottom:' }] : []),
+    ...sections.flatMap((section, i) => [
+      { type: 'text', text: `Section ${i + 1} (${section.kind}):` },
+      { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: section.image } }
+    ]),
+    {
+      type: 'text',
+      text: `You're a brand designer. Look at this screenshot of ${companyName}'s website and describe their visual identity.
+
+Be specific about what you actually see. Keep each field under 10 words.${mobileScreenshot ? ' Describe the identity from the desktop screenshot; use mobileStyle for what changes on the phone.' : ''}${sections.length ? ' Describe the imagery of every section in sectionImagery.' : ''}
+Record your answer with the ${TOOLS.visuals.name} tool.`
+    }
+  ], 250 + 40 * sections.length);
+
+  return visuals || { colors: 'Unknown', typography: 'Unknown', visualStyle: 'Unknown' };
+}
+
+// Compare all brands and score the user's differentiation
+export async function compareBrands(companyName, allBrands) {
+  const brandSummaries = allBrands.map(b =>
+    `${b.name}: "${b.positioning}" | Voice: ${b.voice} | Visual: ${b.visual}`
+  ).join('\n');
+
+  return requestStructured('comparison', `You're a senior brand strategist giving a client a quick category overview.
+
+BRANDS IN THIS SPACE:
+${brandSummaries}
+
+Score how differentiated ${companyName} is, list the generic patterns brands share (using the brand names above), what makes ${companyName} different, and your verdict.
+
+Be direct. Skip the fluff. What would you actually tell a client?
+Record your answer with the ${TOOLS.comparison.name} tool.`, 800);
+}
+
+// Generate "What This Means For You" takeaways
+export async function generateTakeaways(companyName, companyData, competitorData, comparison) {
+  return requestStructured('takeaways', `You're a senior brand strategist giving actionable advice to ${companyName} based on their competitive audit.
+
+YOUR BRAND:
+- Positioning: ${companyData.positioning}
+- Voice: ${companyData.voiceAdjectives?.join(', ')}
+- Visual: ${companyData.colors}, ${companyData.typography}, ${companyData.visualStyle}
+- First Impression: ${companyData.firstImpression}
+
+COMPETITORS:
+${competitorData.map(c => `- ${c.name}: ${c.positioning} | Voice: ${c.voiceAdjectives?.join(', ')} | Visual: ${c.visualStyle}`).join('\n')}
+
+AUDIT FINDINGS:
+- Score: ${comparison.score}/100
+- Overlaps: ${comparison.overlaps?.map(o => o.pattern).join(', ') || 'None'}
+- Standouts: ${comparison.standouts?.join(', ') || 'None'}
+
+Give one or two points for each of keep, fix and explore, and one for watch.
+Be direct and specific. No fluff. Each bullet should be actionable.
+Record your answer with the ${TOOLS.takeaways.name} tool.`, 500);
+}
+
+// Suggest direct competitors from the company's homepage
+export async function suggestCompetitors(companyName, structured) {
+  return requestStructured('competitors', `Based on this company's website, suggest 3 direct competitors.
+
+COMPANY: ${companyName}
+H1: "${structured.h1}"
+CONTENT: ${structured.text.substring(0, 800)}
+
+Only suggest real companies that actually exist and compete in the same space.
+Record your answer with the ${TOOLS.competitors.name} tool.`, 400);
+}
@@ -0,0 +1,564 @@
+// The audit pipeline. Both server.js and the Netlify functions call into
+// this module so every deployment returns the same report.
+
+import { normalizeUrl, fetchWebsite, fetchRootFavicon } from './fetch.js';
+import { extractStructuredContent, extractMetadata } from './extract.js';
+import { capturePage } from './screenshots.js';
+import { cached, hashContent } from './cache.js';
+import { crawlSite, fetchRobots } from './crawl.js';
+import { extractIdentity, describeIdentity, comparePalettes } from './identity.js';
+import { scoreDifferentiation } from './scoring.js';
+import { detectCliches } from './cliches.js';
+import { mobileIssues } from './mobile.js';
+import { seoHealth } from './seo.js';
+import { getSerpProvider, searchQuery, brandSearchResult, keywordRankings, MAX_KEYWORDS } from './serp.js';
+import {
+  extractMessaging,
+  extractVisuals,
+  analyzeFirstImpressions,
+  compareBrands,
+  generateTakeaways,
+  suggestCompetitors
+} from './analysis.js';
+import { modelFor } from './llm.js';
+import { withLoggedUsage } from './usage.js';
+
+// Error carrying the HTTP status the route should answer with
+export class AuditError extends Error {
+  constructor(message, statusCode = 500) {
+    super(message);
+    this.name = 'AuditError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Cached variants of the repeatable steps. Pages are keyed by normalized URL;
+// browser captures by that URL and a hash of the fetched HTML; Claude extractions
+// by the model and a hash of exactly what they were given. A changed homepage or
+// model is re-captured and re-analyzed even within the TTL.
+
+// e.g. "Acme.com/" and "https://acme.com" are the same page: host lowercased
+// (URL does that), no trailing slash, no fragment
+function pageKey(url) {
+  try {
+    const parsed = new URL(normalizeUrl(url));
+    parsed.hash = '';
+    return parsed.href.replace(/\/(?=\?|$)/, '');
+  } catch (error) {
+    return normalizeUrl(url);
+  }
+}
+
+const fetchPage = (url, cacheOptions) =>
+  cached('pages', pageKey(url), () => fetchWebsite(url), cacheOptions);
+
+// Blocked and failed captures aren't cached, so the next audit tries again.
+// Entries cached before capture statuses existed have no status and are fine.
+const keepCapture = (pageCapture) => !pageCapture.status || pageCapture.status === 'captured';
+
+// Full-page captures are a superset of the plain desktop one, cached separately
+const capture = (url, html, cacheOptions, fullPage = false) =>
+  cached('captures', [pageKey(url), hashContent(html), fullPage ? 'full-page' : 'desktop'], () => capturePage(url, { fullPage }), { ...cacheOptions, keep: keepCapture });
+
+const captureMobile = (url, html, cacheOptions) =>
+  cached('captures', [pageKey(url), hashContent(html), 'mobile'], () => capturePage(url, { device: 'mobile' }), { ...cacheOptions, keep: keepCapture });
+
+// Search results are cached per provider and query; failed searches aren't
+const search = (query, cacheOptions) =>
+  cached('serp', [getSerpProvider().name, query.trim().toLowerCase()], () => searchQuery(query), cacheOptions);
+
+// How one capture went, for the report: 'captured', 'blocked' (bot wall),
+// 'error' (HTTP or page error) or 'unavailable' (no browser here)
+function captureStatus(pageCapture) {
+  if (!pageCapture) return { status: 'unavailable', detail: 'Screenshots are not available', httpStatus: null, mitigations: [] };
+  const { status = 'captured', detail = null, httpStatus = null, mitigations = [] } = pageCapture;
+  return { status, detail, httpStatus, mitigations };
+}
+
+// Desktop and mobile captures of one brand's homepage, side by side. `html` is
+// the fetched homepage, whose hash keys the cached captures.
+async function captureBoth(name, url, html, cacheOptions, fullPage, emit) {
+  const [pageCapture, mobileCapture] = await Promise.all([capture(url, html, cacheOptions, fullPage), captureMobile(url, html, cacheOptions)]);
+  emit('screenshot', {
+    brand: name,
+    captured: !!pageCapture?.screenshot,
+    mobileCaptured: !!mobileCapture?.screenshot,
+    sections: pageCapture?.sections?.map(s => s.kind),
+    status: captureStatus(pageCapture).status
+  });
+  return { pageCapture, mobileCapture };
+}
+
+// Static HTML this short (or with no headline at all) is probably a
+// JavaScript shell rather than the real page
+const MIN_STATIC_TEXT = 300;
+
+const isThin = (structured) => structured.text.length < MIN_STATIC_TEXT || (!structured.h1 && !structured.subheadline);
+
+// Structured content from the fetched HTML, falling back to the DOM rendered
+// in the browser when the static HTML is thin. Records which one was used.
+function structuredContentFor(url, html, pageCapture) {
+  const baseUrl = normalizeUrl(url);
+  const fromStatic = extractStructuredContent(html, baseUrl);
+  if (isThin(fromStatic) && pageCapture?.html) {
+    const rendered = extractStructuredContent(pageCapture.html, baseUrl);
+    if (rendered.text.length > fromStatic.text.length) {
+      console.log(`Static HTML for ${baseUrl} is thin, using the rendered DOM`);
+      return { ...rendered, source: 'rendered', computedStyles: pageCapture.styles || null };
+    }
+  }
+  return { ...fromStatic, source: 'static', computedStyles: pageCapture?.styles || null };
+}
+
+// Metadata health checks for a homepage, on whichever version of it the audit
+// read; null when there was nothing to read. /favicon.ico is only requested
+// when the page has no icon link.
+async function metadataHealth(url, html, pageCapture, structured, cacheOptions) {
+  const source = structured.source === 'rendered' ? pageCapture.html : html;
+  if (!source) return null;
+  const baseUrl = normalizeUrl(url);
+  const metadata = extractMetadata(source, baseUrl);
+  const origin = new URL(baseUrl).origin;
+  const hasRootFavicon = metadata.icons.length === 0
+    && await cached('favicons', origin, () => fetchRootFavicon(origin), cacheOptions);
+  return seoHealth(metadata, baseUrl, { hasRootFavicon });
+}
+
+const analyzeMessaging = (name, structured, cacheOptions) =>
+  cached('messaging', [name, modelFor('messaging'), hashContent(structured.h1, structured.subheadline, structured.ctas || [], structured.text, structured.pages || [])],
+    () => extractMessaging(name, structured), cacheOptions);
+
+const crawlPages = (url, html, pageBudget, cacheOptions) => crawlSite(url, html, {
+  pageBudget,
+  fetchPage: (pageUrl) => fetchPage(pageUrl, cacheOptions),
+  getRobots: (origin) => cached('robots', origin, () => fetchRobots(origin), cacheOptions)
+});
+
+const analyzeVisuals = (name, screenshot, mobileScreenshot, sections, cacheOptions) => screenshot
+  ? cached('visuals', [name, modelFor('visuals'), hashContent(screenshot, mobileScreenshot, sections.map(s => [s.kind, s.image]))],
+    () => extractVisuals(name, screenshot, mobileScreenshot, sections), cacheOptions)
+  : extractVisuals(name, screenshot);
+
+// A full-page capture's sections without their images, each with Claude's
+// read of its imagery; null without a full-page capture
+function pageSections(pageCapture, inferred) {
+  if (!pageCapture?.sections) return null;
+  return pageCapture.sections.map(({ kind, top, height }, i) => ({
+    kind,
+    top,
+    height,
+    imagery: inferred.sectionImagery?.find(s => s.section === i + 1)?.imagery || null
+  }));
+}
+
+// Measured colors and fonts replace Claude's guesses from the screenshot;
+// the overall visual style stays Claude's read
+function withIdentity(visuals, identity) {
+  const measured = describeIdentity(identity);
+  if (!visuals && Object.keys(measured).length === 0) return visuals;
+  return { ...(visuals || {}), ...measured };
+}
+
+// Format voice & tone as "adjective, adjective, adjective — summary"
+function formatVoice(inferred) {
+  if (!inferred) return '—';
+  const adjs = inferred.voiceAdjectives?.join(', ') || '';
+  const summary = inferred.voiceSummary || '';
+  return adjs ? `${adjs}${summary ? ' — ' + summary : ''}` : summary || '—';
+}
+
+function formatVisual(inferred) {
+  return `${inferred.colors || ''} · ${inferred.typography || ''} · ${inferred.visualStyle || ''}`.replace(/^ · | · $/g, '');
+}
+
+// One brand's mobile findings; captured is false when there was no phone capture
+function mobileSummary(layout, inferred) {
+  return {
+    captured: !!layout,
+    layout: layout || null,
+    issues: mobileIssues(layout),
+    visualStyle: inferred.mobileStyle || null
+  };
+}
+
+// The per-brand fields history diffs are computed from, plus where the
+// page copy came from ('static' HTML or the 'rendered' DOM)
+function brandProfile(inferred, structured) {
+  return {
+    contentSource: structured.source,
+    positioning: inferred.positioning || null,
+    voiceAdjectives: inferred.voiceAdjectives || [],
+    voiceSummary: inferred.voiceSummary || null,
+    colors: inferred.colors || null,
+    typography: inferred.typography || null,
+    visualStyle: inferred.visualStyle || null
+  };
+}
+
+// Build the chart data (simplified: just positioning, voice, visual)
+function buildChart(companyName, companyInferred, competitorResults) {
+  return {
+    columns: ['Category', companyName, ...competitorResults.map(c => c.name)],
+    rows: [
+      {
+        category: 'Positioning',
+        values: [companyInferred.positioning, ...competitorResults.map(c => c.inferred.positioning)]
+      },
+      {
+        category: 'Voice',
+        values: [formatVoice(companyInferred), ...competitorResults.map(c => formatVoice(c.inferred))]
+      },
+      {
+        category: 'Visual Style',
+        values: [formatVisual(companyInferred), ...competitorResults.map(c => formatVisual(c.inferred))]
+      }
+    ]
+  };
+}
+
+const DEFAULT_PAGE_BUDGET = 5;
+const MAX_PAGE_BUDGET = 10;
+
+// Turn a request body into runAudit input, or throw a 400 AuditError
+export function parseAuditRequest(body) {
+  const { companyUrl, companyName, competitors, forceRefresh, crawl, pageBudget, fullPage, keywords } = body || {};
+  if (!companyUrl || !companyName || !competitors || competitors.length === 0) {
+    throw new AuditError('Missing required fields', 400);
+  }
+
+  const budget = pageBudget === undefined ? DEFAULT_PAGE_BUDGET : Number(pageBudget);
+  if (!Number.isInteger(budget) || budget < 1 || budget > MAX_PAGE_BUDGET) {
+    throw new AuditError(`pageBudget must be a whole number from 1 to ${MAX_PAGE_BUDGET}`, 400);
+  }
+
+  if (keywords !== undefined && !Array.isArray(keywords)) {
+    throw new AuditError('keywords must be a list of search terms', 400);
+  }
+  const keywordList = (keywords || []).map(k => String(k).trim()).filter(Boolean);
+  if (keywordList.length > MAX_KEYWORDS) {
+    throw new AuditError(`At most ${MAX_KEYWORDS} keywords`, 400);
+  }
+
+  return {
+    companyUrl,
+    companyName,
+    competitors: competitors.map(c => ({ name: c.name, url: c.url })),
+    forceRefresh: !!forceRefresh,
+    crawl: !!crawl,
+    fullPage: !!fullPage,
+    keywords: keywordList,
+    pageBudget: budget
+  };
+}
+
+// Run a full audit of a company against its competitors.
+// - forceRefresh bypasses the cache for every step.
+// - crawl also reads up to pageBudget pages per site (homepage included) from
+//   its key internal pages before extracting messaging.
+// - fullPage also captures each homepage top to bottom, split into labelled
+//   sections (hero, social proof, features, pricing, footer), and has Claude
+//   describe each section's imagery.
+// - keywords are the category searches every brand's ranking is compared on;
+//   without them the company's positioning is searched.
+// Each brand's name is searched too (see serp.js), for its first impression
+// and the SERP comparison.
+// Each homepage is captured at a desktop and a mobile viewport.
+// onProgress(event, data) is called as each step finishes with the partial
+// result for that step: screenshot (desktop and mobile), crawl, messaging, visuals and
+// firstImpressions once per brand, then comparison and takeaways.
+// The result carries `meta`: wall-clock time and LLM usage (calls, retries,
+// tokens, images, latency and estimated cost, overall and per step).
+export async function runAudit(input, options = {}) {
+  const started = Date.now();
+  const { result, summary } = await withLoggedUsage('audit', () => runAuditSteps(input, options));
+  const meta = { elapsedMs: Date.now() - started, llm: summary };
+  console.log(`Audit took ${meta.elapsedMs}ms: ${meta.llm.calls} LLM calls, ${meta.llm.inputTokens + meta.llm.outputTokens} tokens, ${meta.llm.retries} retries, ~$${meta.llm.costUsd.toFixed(4)}`);
+  return { ...result, meta };
+}
+
+async function runAuditSteps({ companyUrl, companyName, competitors, forceRefresh = false, crawl = false, pageBudget = DEFAULT_PAGE_BUDGET, fullPage = false, keywords = [] }, { onProgress } = {}) {
+  const emit = (event, data) => onProgress?.(event, data);
+  const cacheOptions = { refresh: forceRefresh };
+
+  console.log('Starting audit for:', companyName);
+  console.log('Competitors:', competitors);
+
+  // Step 1: Fetch content and take screenshots, all brands in parallel. Each
+  // brand's page is fetched before its capture, which is cached by its hash.
+  console.log('Fetching websites and taking screenshots...');
+
+  const [{ companyHtml, pageCapture: companyCapture, mobileCapture: companyMobileCapture }, companySerp, ...competitorFetches] = await Promise.all([
+    (async () => {
+      const companyHtml = await fetchPage(companyUrl, cacheOptions);
+      return { companyHtml, ...(await captureBoth(companyName, companyUrl, companyHtml, cacheOptions, fullPage, emit)) };
+    })(),
+    search(companyName, cacheOptions),
+    ...competitors.map(async (comp) => {
+      const html = await fetchPage(comp.url, cacheOptions);
+      const { pageCapture, mobileCapture } = await captureBoth(comp.name, comp.url, html, cacheOptions, fullPage, emit);
+      return {
+        name: comp.name,
+        url: comp.url,
+        html,
+        pageCapture,
+        mobileCapture,
+        screenshot: pageCapture?.screenshot || null,
+        mobileScreenshot: mobileCapture?.screenshot || null,
+        serp: await search(comp.name, cacheOptions)
+      };
+    })
+  ]);
+
+  const searchedBrands = [{ name: companyName, url: companyUrl }, ...competitors];
+  const companySearch = brandSearchResult(searchedBrands[0], companyName, companySerp, searchedBrands);
+
+  const companyScreenshot = companyCapture?.screenshot || null;
+  const companyMobileScreenshot = companyMobileCapture?.screenshot || null;
+  const companyIdentity = extractIdentity(companyCapture);
+  const companyStructured = structuredContentFor(companyUrl, companyHtml, companyCapture);
+  const competitorData = competitorFetches.map(comp => ({
+    ...comp,
+    structured: structuredContentFor(comp.url, comp.html, comp.pageCapture),
+    identity: extractIdentity(comp.pageCapture),
+    searchResult: brandSearchResult(comp, comp.name, comp.serp, searchedBrands)
+  }));
+
+  const [companySeo, ...competitorSeo] = await Promise.all([
+    metadataHealth(companyUrl, companyHtml, companyCapture, companyStructured, cacheOptions),
+    ...competitorData.map(comp => metadataHealth(comp.url, comp.html, comp.pageCapture, comp.structured, cacheOptions))
+  ]);
+
+  // Optional: read each site's key pages too
+  if (crawl) {
+    console.log('Crawling key pages...');
+    const brands = [
+      { name: companyName, url: companyUrl, html: companyHtml, pageCapture: companyCapture, structured: companyStructured },
+      ...competitorData
+    ];
+    await Promise.all(brands.map(async (brand) => {
+      // Follow links from whichever version of the homepage we actually read
+      const homepageHtml = brand.structured.source === 'rendered' ? brand.pageCapture.html : brand.html;
+      brand.structured.pages = await crawlPages(brand.url, homepageHtml, pageBudget, cacheOptions);
+      emit('crawl', { brand: brand.name, pages: brand.structured.pages.map(p => ({ url: p.url, kind: p.kind })) });
+    }));
+  }
+
+  // Step 2: Messaging, visuals and first impressions for every brand at once.
+  // The LLM scheduler keeps the number of calls in flight within limits.
+  console.log('Analyzing brands...');
+  const analyzeBrand = async ({ name, structured, screenshot, mobileScreenshot, searchResult, identity, pageCapture }) => {
+    const [messaging, visuals, firstImpressions] = await Promise.all([
+      analyzeMessaging(name, structured, cacheOptions).then(messaging => {
+        emit('messaging', { brand: name, messaging });
+        return messaging;
+      }),
+      analyzeVisuals(name, screenshot, mobileScreenshot, pageCapture?.sections || [], cacheOptions).then(visuals => {
+        visuals = withIdentity(visuals, identity);
+        emit('visuals', { brand: name, visuals });
+        return visuals;
+      }),
+      analyzeFirstImpressions(name, structured.metaTitle, structured.metaDescription, screenshot, mobileScreenshot, searchResult).then(firstImpressions => {
+        emit('firstImpressions', { brand: name, firstImpressions: firstImpressions || {} });
+        return firstImpressions;
+      })
+    ]);
+    return { messaging, visuals, firstImpressions: firstImpressions || {} };
+  };
+
+  const [companyAnalysis, ...competitorAnalyses] = await Promise.all([
+    analyzeBrand({
+      name: companyName,
+      structured: companyStructured,
+      screenshot: companyScreenshot,
+      mobileScreenshot: companyMobileScreenshot,
+      searchResult: companySearch,
+      identity: companyIdentity,
+      pageCapture: companyCapture
+    }),
+    ...competitorData.map(comp => analyzeBrand(comp))
+  ]);
+
+  if (!companyAnalysis.messaging) {
+    throw new AuditError('Could not analyze your website');
+  }
+
+  const companyInferred = { ...companyAnalysis.messaging, ...companyAnalysis.visuals };
+  const companyFirstImpressions = companyAnalysis.firstImpressions;
+
+  const competitorResults = competitorData.map((comp, i) => ({
+    name: comp.name,
+    url: comp.url,
+    scraped: {
+      h1: comp.structured.h1,
+      subheadline: comp.structured.subheadline,
+      metaTitle: comp.structured.metaTitle,
+      metaDescription: comp.structured.metaDescription
+    },
+    structured: comp.structured,
+    inferred: { ...(competitorAnalyses[i].messaging || {}), ...(competitorAnalyses[i].visuals || {}) },
+    firstImpressions: competitorAnalyses[i].firstImpressions,
+    identity: comp.identity,
+    screenshot: comp.screenshot,
+    mobileScreenshot: comp.mobileScreenshot,
+    mobileLayout: comp.mobileCapture?.layout || null,
+    sections: pageSections(comp.pageCapture, competitorAnalyses[i].visuals || {}),
+    sectionImages: comp.pageCapture?.sections?.map(s => s.image) || null,
+    searchResult: comp.searchResult
+  }));
+
+  // Where every brand ranks for the category searches
+  const categoryQueries = keywords.length ? keywords : [companyInferred.positioning].filter(Boolean);
+  const keywordResults = await Promise.all(categoryQueries.map(async (query) =>
+    keywordRankings(query, await search(query, cacheOptions), searchedBrands)));
+
+  // Step 3: Compare all brands
+  console.log('Comparing brands...');
+
+  // Build comparison data for Claude
+  const formatVoiceForComparison = (inf) => inf?.voiceAdjectives?.join(', ') || 'unknown';
+
+  const formatVisualForComparison = (inf) => [inf?.visualStyle, inf?.colors && `colors ${inf.colors}`].filter(Boolean).join('; ');
+
+  const allBrands = [
+    { name: companyName, positioning: companyInferred.positioning, voice: formatVoiceForComparison(companyInferred), visual: formatVisualForComparison(companyInferred) },
+    ...competitorResults.map(c => ({ name: c.name, positioning: c.inferred.positioning, voice: formatVoiceForComparison(c.inferred), visual: formatVisualForComparison(c.inferred) }))
+  ];
+
+  const comparison = await compareBrands(companyName, allBrands);
+
+  if (!comparison) {
+    throw new AuditError('Could not compare brands');
+  }
+
+  // Measured color overlaps go alongside Claude's
+  const identities = {
+    [companyName]: companyIdentity,
+    ...Object.fromEntries(competitorResults.map(c => [c.name, c.identity]))
+  };
+  const { overlaps: colorOverlaps, ...palettes } = comparePalettes(companyName, identities);
+  comparison.overlaps = [...(comparison.overlaps || []), ...colorOverlaps];
+
+  // Blend Claude's score with the computed sub-scores
+  const { score, breakdown } = scoreDifferentiation([
+    { name: companyName, structured: companyStructured, inferred: companyInferred, identity: companyIdentity },
+    ...competitorResults.map(c => ({ name: c.name, structured: c.structured, inferred: c.inferred, identity: c.identity }))
+  ], palettes, comparison.score);
+  comparison.score = score;
+  comparison.scoreBreakdown = breakdown;
+
+  const cliches = detectCliches([
+    { name: companyName, structured: companyStructured },
+    ...competitorResults.map(c => ({ name: c.name, structured: c.structured }))
+  ]);
+  emit('comparison', comparison);
+
+  const chartData = buildChart(companyName, companyInferred, competitorResults);
+
+  // Generate takeaways for the user's brand
+  console.log('Generating takeaways...');
+  const takeaways = await generateTakeaways(
+    companyName,
+    { ...companyInferred, ...companyFirstImpressions },
+    competitorResults.map(c => ({ name: c.name, ...c.inferred })),
+    comparison
+  );
+  emit('takeaways', { takeaways: takeaways || {} });
+
+  console.log('Analysis complete');
+  return {
+    score: comparison.score,
+    // Claude's score, the computed one, and the positioning/voice/visual sub-scores behind them
+    scoreBreakdown: comparison.scoreBreakdown,
+    verdict: comparison.verdict,
+    overlaps: comparison.overlaps,
+    standouts: comparison.standouts,
+    // Clichés and phrases shared between brands, with counts and snippets per brand
+    cliches,
+    takeaways: takeaways || {},
+    chart: chartData,
+    brands: {
+      [companyName]: brandProfile(companyInferred, companyStructured),
+      ...Object.fromEntries(competitorResults.map(c => [c.name, brandProfile(c.inferred, c.structured)]))
+    },
+    // Measured palette ({ hex, weight, roles }) and typography ({ family, weights, usage })
+    identity: identities,
+    // Palette similarity matrix (0-100) in `brands` order, plus each brand's primary color
+    palettes,
+    // How each brand's desktop and mobile capture went, and what was done to get past blockers
+    captures: {
+      [companyName]: { desktop: captureStatus(companyCapture), mobile: captureStatus(companyMobileCapture) },
+      ...Object.fromEntries(competitorFetches.map(c => [c.name, { desktop: captureStatus(c.pageCapture), mobile: captureStatus(c.mobileCapture) }]))
+    },
+    ...(fullPage && {
+      // Each homepage as labelled sections, top to bottom, with Claude's read of their imagery
+      sections: {
+        [companyName]: pageSections(companyCapture, companyInferred),
+        ...Object.fromEntries(competitorResults.map(c => [c.name, c.sections]))
+      }
+    }),
+    // Measured phone-layout problems plus Claude's note on the mobile visuals
+    mobile: {
+      [companyName]: mobileSummary(companyMobileCapture?.layout, companyInferred),
+      ...Object.fromEntries(competitorResults.map(c => [c.name, mobileSummary(c.mobileLayout, c.inferred)]))
+    },
+    screenshots: {
+      [companyName]: {
+        url: normalizeUrl(companyUrl),
+        image: companyScreenshot,
+        mobileImage: companyMobileScreenshot,
+        sectionImages: companyCapture?.sections?.map(s => s.image) || null
+      },
+      ...Object.fromEntries(competitorResults.map(c => [c.name, {
+        url: normalizeUrl(c.url),
+        image: c.screenshot,
+        mobileImage: c.mobileScreenshot,
+        sectionImages: c.sectionImages
+      }]))
+    },
+    // Title, description, Open Graph, favicon, canonical, heading, alt text and structured data checks, scored
+    seo: {
+      [companyName]: companySeo,
+      ...Object.fromEntries(competitorData.map((c, i) => [c.name, competitorSeo[i]]))
+    },
+    // What Google shows for each brand's name, and where every brand ranks for the category
+    serp: {
+      provider: getSerpProvider().name,
+      brands: {
+        [companyName]: companySearch,
+        ...Object.fromEntries(competitorResults.map(c => [c.name, c.searchResult]))
+      },
+      keywords: keywordResults
+    },
+    firstImpressions: {
+      [companyName]: {
+        ...companyFirstImpressions,
+        metaTitle: companyStructured.metaTitle,
+        metaDescription: companyStructured.metaDescription
+      },
+      ...Object.fromEntries(competitorResults.map(c => [c.name, {
+        ...c.firstImpressions,
+        metaTitle: c.scraped.metaTitle,
+        metaDescription: c.scraped.metaDescription
+      }]))
+    }
+  };
+}
+
+// Suggest competitors for a company based on its homepage
+export async function runCompetitorSuggestions({ companyUrl, companyName }) {
+  if (!companyUrl || !companyName) {
+    throw new AuditError('Missing company URL or name', 400);
+  }
+
+  console.log('Finding competitors for:', companyName);
+
+  // Fetch the company website to understand what they do
+  const html = await fetchWebsite(companyUrl);
+  const structured = extractStructuredContent(html, normalizeUrl(companyUrl));
+
+  const { result: data } = await withLoggedUsage('suggestions', () => suggestCompetitors(companyName, structured));
+  if (!data) return { competitors: [] };
+
+  console.log('Suggested competitors:', data.competitors);
+  return data;
+}
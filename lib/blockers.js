@@ -0,0 +1,142 @@
+// Things that stand between the browser and a site's real homepage: bot
+// walls and CAPTCHAs, cookie/consent overlays, and error pages. Detected by
+// DOM markers and HTTP status so capturePage can work around them (wait out
+// a JS challenge, dismiss the banner) or report the page as blocked instead
+// of handing a challenge screen to Claude.
+
+const MARKERS = {
+  // Only ever on challenge pages
+  challengeSelectors: [
+    '#challenge-form', '#challenge-running', '#cf-challenge-running', '.cf-browser-verification',
+    '#px-captcha', '#captcha-form', '#sec-if-cpt-container'
+  ],
+  // Also embedded on real pages (e.g. reCAPTCHA on a contact form), so they
+  // only count on a page with little else on it
+  weakChallengeSelectors: [
+    'iframe[src*="challenges.cloudflare.com"]', 'iframe[src*="recaptcha"]', 'iframe[src*="hcaptcha.com"]',
+    'iframe[src*="captcha-delivery.com"]'
+  ],
+  challengeText: 'just a moment|attention required|verify you are (a )?human|checking (if the site connection is secure|your browser)|are you a robot|unusual traffic|access denied|pardon our interruption|press (&|and) hold',
+  errorTitle: '^(403|404|500|502|503)\\b|not found|internal server error|service unavailable|bad gateway',
+  consentSelectors: [
+    '#onetrust-banner-sdk', '#CybotCookiebotDialog', '.fc-consent-root', '#didomi-host', '.qc-cmp2-container',
+    '#truste-consent-track', '.cc-window', '#cookie-law-info-bar', '.cky-consent-container', '#usercentrics-root',
+    '[id*="cookie-banner" i]', '[class*="cookie-banner" i]', '[id*="consent-banner" i]', '[class*="consent-banner" i]',
+    '[role="dialog"][aria-label*="cookie" i]', '[role="dialog"][aria-label*="consent" i]'
+  ],
+  acceptSelectors: [
+    '#onetrust-accept-btn-handler', '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll', '#CybotCookiebotDialogBodyButtonAccept',
+    '.fc-cta-consent', '#didomi-notice-agree-button', '.qc-cmp2-summary-buttons button[mode="primary"]', '.cc-allow', '.cc-dismiss',
+    '.cky-btn-accept', '#cookie_action_close_header'
+  ],
+  acceptText: '^(accept|accept all|accept all cookies|accept cookies|allow all|allow all cookies|allow cookies|agree|i agree|agree and close|got it|ok|okay)$'
+};
+
+// Pages shorter than this (in visible characters) are barely more than a challenge or error box
+const SHORT_PAGE = 1500;
+
+// How long a JavaScript challenge gets to clear itself before the page counts as blocked
+const CHALLENGE_WAIT_MS = 8000;
+
+// Run in the page: which blockers are showing
+function readBlockers(markers) {
+  const visible = (el) => {
+    if (!el) return false;
+    const rect = el.getBoundingClientRect();
+    const style = getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
+  const text = document.body?.innerText || '';
+  const short = text.trim().length < markers.shortPage;
+  const challengeText = new RegExp(markers.challengeText, 'i');
+
+  const strong = markers.challengeSelectors.find(selector => document.querySelector(selector));
+  const weak = markers.weakChallengeSelectors.find(selector => document.querySelector(selector));
+  let challenge = null;
+  if (strong) challenge = strong;
+  else if (challengeText.test(document.title)) challenge = `title "${document.title}"`;
+  else if (short && weak) challenge = weak;
+  else if (short && challengeText.test(text)) challenge = `text "${text.match(challengeText)[0]}"`;
+
+  const consent = markers.consentSelectors.find(selector => [...document.querySelectorAll(selector)].some(visible)) || null;
+  const errorPage = short && new RegExp(markers.errorTitle, 'i').test(document.title) ? document.title : null;
+  return { challenge, consent, errorPage };
+}
+
+// Run in the page: click the consent overlay's accept button. False when
+// there isn't one we recognize.
+function acceptConsent(markers) {
+  const accept = markers.acceptSelectors.map(selector => document.querySelector(selector)).find(Boolean)
+    || [...document.querySelectorAll('button, a[role="button"], [role="button"]')]
+      .find(el => new RegExp(markers.acceptText, 'i').test(el.innerText.trim()));
+  accept?.click();
+  return !!accept;
+}
+
+// Run in the page: remove the consent overlay and the scroll lock it put on the page
+function hideConsent(markers) {
+  for (const selector of markers.consentSelectors) {
+    document.querySelectorAll(selector).forEach(el => el.remove());
+  }
+  document.documentElement.style.overflow = '';
+  document.body.style.overflow = '';
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Blockers on a page that may be navigating (challenges redirect when they
+// clear), treating a torn-down page as "nothing yet"
+async function check(page) {
+  try {
+    return await page.evaluate(readBlockers, { ...MARKERS, shortPage: SHORT_PAGE });
+  } catch {
+    await sleep(500);
+    return { challenge: null, consent: null, errorPage: null, navigating: true };
+  }
+}
+
+// Work around what's in front of a freshly loaded page. Resolves to
+// { status, detail, httpStatus, mitigations }: status is 'captured' (clean or
+// cleared), 'blocked' (bot wall still up) or 'error' (HTTP error or error page).
+export async function clearBlockers(page, response) {
+  const httpStatus = response?.status() ?? null;
+  const mitigations = [];
+  let found = await check(page);
+
+  if (found.challenge) {
+    const challenge = found.challenge;
+    mitigations.push('waited for challenge');
+    const deadline = Date.now() + CHALLENGE_WAIT_MS;
+    while ((found.challenge || found.navigating) && Date.now() < deadline) {
+      await sleep(1000);
+      found = await check(page);
+    }
+    if (found.challenge || found.navigating) {
+      return { status: 'blocked', detail: `Bot protection (${found.challenge || challenge})`, httpStatus, mitigations };
+    }
+    // Let the real page finish loading after the redirect
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: 5000 }).catch(() => {});
+  }
+
+  // A challenge that cleared itself leaves the original status behind, so only trust it when there wasn't one
+  if (httpStatus >= 400 && mitigations.length === 0) {
+    return { status: 'error', detail: `HTTP ${httpStatus}`, httpStatus, mitigations };
+  }
+  if (found.errorPage) {
+    return { status: 'error', detail: `Error page ("${found.errorPage}")`, httpStatus, mitigations };
+  }
+
+  if (found.consent) {
+    const accepted = await page.evaluate(acceptConsent, MARKERS).catch(() => false);
+    if (accepted) await sleep(700);
+    // No accept button we know, or a banner that ignored the click: hide it instead
+    if (!accepted || (await check(page)).consent) {
+      await page.evaluate(hideConsent, MARKERS).catch(() => {});
+      mitigations.push('hid consent banner');
+    } else {
+      mitigations.push('accepted consent banner');
+    }
+  }
+
+  return { status: 'captured', detail: null, httpStatus, mitigations };
+}
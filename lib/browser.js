@@ -0,0 +1,124 @@
+// Shared headless Chrome for screenshots and PDFs. One browser is launched
+// on first use and reused; each task gets its own incognito context so
+// cookies and storage don't leak between sites, and at most
+// BROWSER_MAX_PAGES tasks (default 3) have a page open at once. If Chrome
+// crashes, the next task relaunches it.
+//
+// Puppeteer is loaded lazily so environments without Chromium (Netlify
+// functions) still run the audit, just without images.
+
+const MAX_PAGES = Number(process.env.BROWSER_MAX_PAGES) || 3;
+
+let puppeteerModule;
+let browserPromise = null;
+let shuttingDown = false;
+
+let activeTasks = 0;
+const waitingTasks = [];
+
+async function loadPuppeteer() {
+  if (puppeteerModule === undefined) {
+    try {
+      puppeteerModule = (await import('puppeteer')).default;
+    } catch (error) {
+      console.error('Puppeteer unavailable, skipping screenshots:', error.message);
+      puppeteerModule = null;
+    }
+  }
+  return puppeteerModule;
+}
+
+async function getBrowser() {
+  if (browserPromise) return browserPromise;
+
+  const puppeteer = await loadPuppeteer();
+  if (!puppeteer) return null;
+  if (browserPromise) return browserPromise;
+
+  const launch = puppeteer.launch({
+    headless: true,
+    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+  }).then(browser => {
+    browser.on('disconnected', () => {
+      if (browserPromise === launch) {
+        if (!shuttingDown) console.error('Browser disconnected, will relaunch on next use');
+        browserPromise = null;
+      }
+    });
+    return browser;
+  });
+
+  browserPromise = launch;
+  launch.catch(() => {
+    if (browserPromise === launch) browserPromise = null;
+  });
+  return launch;
+}
+
+async function acquireSlot() {
+  if (activeTasks < MAX_PAGES) {
+    activeTasks++;
+    return;
+  }
+  // releaseSlot hands its slot straight to us, so activeTasks stays put
+  await new Promise(resolve => waitingTasks.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waitingTasks.shift();
+  if (next) next();
+  else activeTasks--;
+}
+
+async function runInPage(task) {
+  await acquireSlot();
+  let browser;
+  let context;
+  try {
+    browser = await getBrowser();
+    if (!browser) return null;
+    context = await browser.createBrowserContext();
+    const page = await context.newPage();
+    return await task(page);
+  } catch (error) {
+    error.browserCrashed = !!browser && !browser.connected;
+    throw error;
+  } finally {
+    if (context) await context.close().catch(() => {});
+    releaseSlot();
+  }
+}
+
+// Run task(page) on a fresh page from the shared browser. Resolves to null
+// when Puppeteer isn't installed; retries once on a relaunched browser if
+// Chrome crashed mid-task.
+export async function withPage(task) {
+  if (shuttingDown) throw new Error('Browser is shutting down');
+  try {
+    return await runInPage(task);
+  } catch (error) {
+    if (!error.browserCrashed || shuttingDown) throw error;
+    console.error('Browser crashed, retrying on a new one:', error.message);
+    return runInPage(task);
+  }
+}
+
+// Stop taking new tasks, give running ones up to timeoutMs to finish, then close Chrome
+export async function closeBrowser({ timeoutMs = 10000 } = {}) {
+  shuttingDown = true;
+
+  const deadline = Date.now() + timeoutMs;
+  while (activeTasks > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  const launch = browserPromise;
+  browserPromise = null;
+  if (!launch) return;
+  try {
+    await (await launch).close();
+  } catch (error) {
+    console.error('Error closing browser:', error.message);
+  }
+}
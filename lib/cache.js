@@ -0,0 +1,92 @@
+// File-backed cache for the expensive, repeatable parts of an audit: page
+// fetches, screenshots and per-brand Claude extractions. Entries live under
+// AUDIT_CACHE_DIR (default ./data/cache) and expire after
+// AUDIT_CACHE_TTL_HOURS (default 24; 0 turns caching off), and are deleted
+// when read stale or by an hourly sweep. A cache that can't be read or
+// written (e.g. a read-only filesystem) just means a miss.
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+
+const CACHE_DIR = process.env.AUDIT_CACHE_DIR || fileURLToPath(new URL('../data/cache', import.meta.url));
+const TTL_HOURS = process.env.AUDIT_CACHE_TTL_HOURS === undefined ? 24 : Number(process.env.AUDIT_CACHE_TTL_HOURS);
+const TTL_MS = TTL_HOURS * 60 * 60 * 1000;
+
+// Expired entries nobody asks for again are swept at most this often
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+let lastSweep = 0;
+
+export function hashContent(...parts) {
+  return createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+async function readEntry(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Error reading cache ${file}:`, error.message);
+    return null;
+  }
+}
+
+async function writeEntry(file, value) {
+  try {
+    await fs.mkdir(join(file, '..'), { recursive: true });
+    await fs.writeFile(`${file}.tmp`, JSON.stringify({ storedAt: Date.now(), value }));
+    await fs.rename(`${file}.tmp`, file);
+  } catch (error) {
+    console.error(`Error writing cache ${file}:`, error.message);
+  }
+}
+
+const removeEntry = (file) => fs.unlink(file).catch(() => {});
+
+// Delete every entry (and stray temp file) older than the TTL, going by the
+// file's modification time so big entries aren't read just to be thrown away
+export async function sweepCache() {
+  let namespaces;
+  try {
+    namespaces = await fs.readdir(CACHE_DIR);
+  } catch (error) {
+    return;
+  }
+  for (const namespace of namespaces) {
+    const dir = join(CACHE_DIR, namespace);
+    const files = await fs.readdir(dir).catch(() => []);
+    for (const file of files) {
+      const stat = await fs.stat(join(dir, file)).catch(() => null);
+      if (stat?.isFile() && Date.now() - stat.mtimeMs >= TTL_MS) await removeEntry(join(dir, file));
+    }
+  }
+}
+
+// Return the cached value for key in namespace, or compute and store it.
+// null/undefined results (failed fetches, missing screenshots) aren't cached,
+// nor are values keep(value) rejects. refresh skips the lookup but still
+// stores the fresh value.
+export async function cached(namespace, key, compute, { refresh = false, keep } = {}) {
+  if (!(TTL_MS > 0)) return compute();
+
+  if (Date.now() - lastSweep > SWEEP_INTERVAL_MS) {
+    lastSweep = Date.now();
+    sweepCache().catch(error => console.error('Error sweeping cache:', error.message));
+  }
+
+  const file = join(CACHE_DIR, namespace, `${hashContent(key)}.json`);
+  if (!refresh) {
+    const entry = await readEntry(file);
+    if (entry && Date.now() - entry.storedAt < TTL_MS) {
+      return entry.value;
+    }
+    // Stale: gone now, whether or not the fresh value gets stored
+    if (entry) await removeEntry(file);
+  }
+
+  const value = await compute();
+  if (value !== null && value !== undefined && (!keep || keep(value))) {
+    await writeEntry(file, value);
+  }
+  return value;
+}
@@ -0,0 +1,130 @@
+// Generic category language: phrases from a maintained cliché list, and
+// phrases several audited brands use word for word. Answers "which of our
+// phrases are generic?" with counts per brand and the snippets they appear in.
+
+import { keyPhrases, tokenize, dropSubphrases } from './similarity.js';
+
+// Add to this list as new clichés catch on. Hyphens and spaces are
+// interchangeable when matching ("all-in-one" matches "all in one").
+export const CLICHES = [
+  // Platform and product
+  'all-in-one', 'all-in-one platform', 'one-stop shop', 'end-to-end', 'single source of truth',
+  'turnkey', 'out of the box', 'plug and play',
+  // AI
+  'powered by ai', 'ai-powered', 'ai-driven', 'ai-native', 'harness the power of ai', 'machine learning',
+  // Superlatives
+  'best-in-class', 'world-class', 'industry-leading', 'market-leading', 'cutting-edge', 'state-of-the-art',
+  'next-generation', 'next-gen', 'innovative', 'revolutionary', 'game-changing', 'game changer', 'disruptive',
+  'leading provider', 'trusted by', 'trusted partner',
+  // Ease and speed
+  'seamless', 'seamlessly', 'effortless', 'effortlessly', 'frictionless', 'easy to use', 'intuitive',
+  'in minutes', 'at scale', 'at the speed of', 'faster than ever', 'save time',
+  // Outcomes
+  'streamline', 'streamlined', 'supercharge', 'unlock', 'empower', 'empowering', 'transform', 'leverage',
+  'synergy', 'drive growth', 'grow your business', 'take it to the next level', 'boost productivity',
+  'actionable insights', 'data-driven', 'robust', 'scalable', 'future-proof', 'mission-critical',
+  'peace of mind', 'built for teams', 'for modern teams', 'reimagined', 'the future of'
+];
+
+const SNIPPET_CONTEXT = 60;
+const MAX_SNIPPETS = 3;
+const MAX_SHARED = 15;
+
+// Regex matching a phrase with flexible spacing/hyphenation, on word boundaries
+const phrasePattern = (phrase) => new RegExp(
+  `(?<![\\w-])${phrase.split(/[\s-]+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[\\s-]+')}(?![\\w-])`,
+  'gi'
+);
+
+// Every occurrence of a phrase in the text, with up to MAX_SNIPPETS surrounding
+// snippets as { text, start, end } (start/end locate the phrase within text).
+// searchIn is the same text with already-counted matches blanked out.
+function findPhrase(text, phrase, searchIn = text) {
+  const matches = [...searchIn.matchAll(phrasePattern(phrase))];
+  const snippets = matches.slice(0, MAX_SNIPPETS).map(match => {
+    let from = Math.max(0, match.index - SNIPPET_CONTEXT);
+    let to = Math.min(text.length, match.index + match[0].length + SNIPPET_CONTEXT);
+    // Don't cut words in half
+    if (from > 0) from = text.indexOf(' ', from) + 1 || from;
+    if (to < text.length && text.lastIndexOf(' ', to) > match.index + match[0].length) to = text.lastIndexOf(' ', to);
+    const prefix = from > 0 ? '…' : '';
+    const suffix = to < text.length ? '…' : '';
+    return {
+      text: prefix + text.slice(from, to) + suffix,
+      start: prefix.length + match.index - from,
+      end: prefix.length + match.index - from + match[0].length
+    };
+  });
+  return { count: matches.length, snippets };
+}
+
+// All the copy we read for a brand, homepage first. The separator keeps
+// phrases from running across pieces.
+const brandCopy = (s) => [s.h1, s.subheadline, s.metaDescription, s.text, ...(s.pages || []).map(p => p.text)]
+  .filter(Boolean)
+  .join(' · ');
+
+// Clichés from the list, longest first so "all-in-one platform" isn't also
+// counted as "all-in-one" and "platform"
+function findCliches(text) {
+  let remaining = text;
+  const found = [];
+  for (const phrase of [...CLICHES].sort((a, b) => b.length - a.length)) {
+    const { count, snippets } = findPhrase(text, phrase, remaining);
+    if (count === 0) continue;
+    found.push({ phrase, count, snippets });
+    // Blank out with same-length filler so positions still line up with text
+    remaining = remaining.replace(phrasePattern(phrase), match => '\u0000'.repeat(match.length));
+  }
+  return found.sort((a, b) => b.count - a.count);
+}
+
+// Clichés used, with counts, and how many per 100 words
+export function clicheDensity(text) {
+  const found = Object.fromEntries(findCliches(text || '').map(c => [c.phrase, c.count]));
+  const total = Object.values(found).reduce((sum, n) => sum + n, 0);
+  const words = tokenize(text).length;
+  return { found, perHundredWords: words ? Math.round((total / words) * 1000) / 10 : 0 };
+}
+
+// brands: [{ name, structured }]. Returns
+// {
+//   brands: { [name]: { clicheCount, cliches: [{ phrase, count, snippets }], sharedCount, shared: [{ phrase, count, snippets }] } },
+//   shared: [{ phrase, who }]   phrases two or more brands use, most widely used first
+// }
+export function detectCliches(brands) {
+  const copy = Object.fromEntries(brands.map(b => [b.name, brandCopy(b.structured)]));
+  const nameWords = new Set(brands.flatMap(b => tokenize(b.name)));
+
+  // Phrases used by more than one brand, leaving out anything naming a brand
+  const phrasesByBrand = brands.map(b => ({ name: b.name, phrases: keyPhrases(copy[b.name]) }));
+  const usage = new Map();
+  for (const { name, phrases } of phrasesByBrand) {
+    for (const phrase of phrases) {
+      if (tokenize(phrase).some(word => nameWords.has(word))) continue;
+      if (!usage.has(phrase)) usage.set(phrase, []);
+      usage.get(phrase).push(name);
+    }
+  }
+  const shared = dropSubphrases([...usage]
+    .filter(([, who]) => who.length > 1)
+    .map(([phrase, who]) => ({ phrase, who }))
+    .sort((a, b) => b.who.length - a.who.length || b.phrase.length - a.phrase.length))
+    .slice(0, MAX_SHARED);
+
+  const perBrand = Object.fromEntries(brands.map(({ name }) => {
+    const cliches = findCliches(copy[name]);
+    const sharedHere = shared
+      .filter(p => p.who.includes(name))
+      .map(p => ({ phrase: p.phrase, ...findPhrase(copy[name], p.phrase) }))
+      .filter(p => p.count > 0);
+    return [name, {
+      clicheCount: cliches.reduce((sum, c) => sum + c.count, 0),
+      cliches,
+      sharedCount: sharedHere.length,
+      shared: sharedHere
+    }];
+  }));
+
+  return { brands: perBrand, shared };
+}
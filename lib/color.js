@@ -0,0 +1,96 @@
+// Color parsing and perceptual distance. Distances are CIE76 ΔE in Lab
+// space: under ~2 is indistinguishable, ~10 reads as "the same color" at a
+// glance, 50+ is clearly different.
+
+// Parse #rgb, #rrggbb, rgb() and rgba() into { r, g, b, a }, or null
+export function parseColor(value) {
+  if (!value) return null;
+  const text = String(value).trim().toLowerCase();
+
+  const hex = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map(d => d + d).join('') : hex[1];
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: 1
+    };
+  }
+
+  const rgb = text.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/);
+  if (rgb) {
+    let a = rgb[4] === undefined ? 1 : parseFloat(rgb[4]);
+    if (rgb[4]?.endsWith('%')) a /= 100;
+    return { r: Math.round(+rgb[1]), g: Math.round(+rgb[2]), b: Math.round(+rgb[3]), a };
+  }
+
+  return null;
+}
+
+export function toHex({ r, g, b }) {
+  return '#' + [r, g, b].map(c => Math.max(0, Math.min(255, Math.round(c))).toString(16).padStart(2, '0')).join('');
+}
+
+// sRGB (D65) to CIE Lab
+export function rgbToLab({ r, g, b }) {
+  const linear = (c) => {
+    c /= 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  };
+  const [lr, lg, lb] = [linear(r), linear(g), linear(b)];
+
+  const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+  const y = (lr * 0.2126 + lg * 0.7152 + lb * 0.0722) / 1.0;
+  const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+
+  const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+  const [fx, fy, fz] = [f(x), f(y), f(z)];
+  return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+export function deltaE(labA, labB) {
+  return Math.sqrt((labA.L - labB.L) ** 2 + (labA.a - labB.a) ** 2 + (labA.b - labB.b) ** 2);
+}
+
+// Distance between two CSS/hex colors, or null if either can't be parsed
+export function colorDistance(colorA, colorB) {
+  const a = parseColor(colorA);
+  const b = parseColor(colorB);
+  if (!a || !b) return null;
+  return deltaE(rgbToLab(a), rgbToLab(b));
+}
+
+// Colorfulness in Lab; under ~15 reads as a gray, black or white
+export function chroma(lab) {
+  return Math.sqrt(lab.a ** 2 + lab.b ** 2);
+}
+
+// Plain-English name for a color, for report copy ("navy", "coral")
+export function colorName(value) {
+  const color = parseColor(value);
+  if (!color) return null;
+  const lab = rgbToLab(color);
+  if (chroma(lab) < 15) {
+    if (lab.L > 90) return 'white';
+    if (lab.L < 20) return 'black';
+    return 'gray';
+  }
+
+  const r = color.r / 255, g = color.g / 255, b = color.b / 255;
+  const max = Math.max(r, g, b), min = Math.min(r, g, b);
+  const d = max - min;
+  let hue = max === r ? ((g - b) / d) % 6 : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+  hue = (hue * 60 + 360) % 360;
+  const dark = lab.L < 35;
+  const light = lab.L > 75;
+
+  if (hue < 15 || hue >= 345) return dark ? 'maroon' : light ? 'pink' : lab.L > 60 ? 'coral' : 'red';
+  if (hue < 40) return dark ? 'brown' : light ? 'peach' : 'orange';
+  if (hue < 65) return dark ? 'olive' : 'yellow';
+  if (hue < 160) return dark ? 'forest green' : light ? 'mint' : 'green';
+  if (hue < 195) return dark ? 'dark teal' : 'teal';
+  if (hue < 250) return dark ? 'navy' : light ? 'light blue' : 'blue';
+  if (hue < 290) return dark ? 'indigo' : light ? 'lavender' : 'purple';
+  return dark ? 'plum' : 'pink';
+}
@@ -0,0 +1,156 @@
+// Optional multi-page crawl. From a homepage, pick the site's key internal
+// pages (About, Product, Pricing, Careers), skip anything robots.txt
+// disallows, and return their structured content so messaging is judged on
+// more than the hero.
+
+import * as cheerio from 'cheerio';
+import { normalizeUrl, USER_AGENT } from './fetch.js';
+import { extractStructuredContent } from './extract.js';
+
+// In priority order: with a small budget, About and Product win over Careers
+const KEY_PAGES = [
+  { kind: 'about', pattern: /\b(about|about-us|company|who-we-are|our-story|team|mission)\b/i },
+  { kind: 'product', pattern: /\b(products?|features|platform|solutions?|how-it-works|services|what-we-do)\b/i },
+  { kind: 'pricing', pattern: /\b(pricing|plans|prices)\b/i },
+  { kind: 'careers', pattern: /\b(careers|jobs|join-us|hiring|work-with-us)\b/i }
+];
+
+const SKIP_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|zip|mp4|mov|xml|json|css|js)$/i;
+
+const sameSite = (a, b) => a.host.replace(/^www\./, '') === b.host.replace(/^www\./, '');
+
+// Internal links on the page, with their visible labels
+function extractLinks(html, baseUrl) {
+  const base = new URL(baseUrl);
+  const $ = cheerio.load(html);
+  const links = [];
+  $('a[href]').each((i, el) => {
+    let url;
+    try {
+      url = new URL($(el).attr('href'), base);
+    } catch (e) {
+      return;
+    }
+    if (!/^https?:$/.test(url.protocol) || !sameSite(url, base) || SKIP_EXTENSIONS.test(url.pathname)) return;
+    url.hash = '';
+    url.search = '';
+    if (url.pathname === '/' || url.pathname === base.pathname) return;
+    links.push({ url: url.toString(), label: $(el).text().replace(/\s+/g, ' ').trim() });
+  });
+  return links;
+}
+
+// Best candidate URLs for the key pages, highest priority first
+export function selectKeyPages(html, baseUrl, limit) {
+  const candidates = [];
+  const seen = new Set();
+  for (const link of extractLinks(html || '', baseUrl)) {
+    if (seen.has(link.url)) continue;
+    const path = new URL(link.url).pathname;
+    const priority = KEY_PAGES.findIndex(k => k.pattern.test(path.replace(/\//g, ' ')) || k.pattern.test(link.label));
+    if (priority === -1) continue;
+    seen.add(link.url);
+    candidates.push({ url: link.url, kind: KEY_PAGES[priority].kind, priority, depth: path.split('/').filter(Boolean).length });
+  }
+
+  // One page per kind first (shallowest path wins), then fill any remaining budget
+  candidates.sort((a, b) => a.priority - b.priority || a.depth - b.depth || a.url.length - b.url.length);
+  const firstOfKind = candidates.filter((c, i) => candidates.findIndex(o => o.kind === c.kind) === i);
+  const rest = candidates.filter(c => !firstOfKind.includes(c));
+  return [...firstOfKind, ...rest].slice(0, limit).map(({ url, kind }) => ({ url, kind }));
+}
+
+// Parse the robots.txt groups that apply to us into allow/disallow rules
+export function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+    } else {
+      lastWasAgent = false;
+      if (current && (field === 'allow' || field === 'disallow') && value) {
+        current.rules.push({ allow: field === 'allow', path: value });
+      }
+    }
+  }
+
+  // A group is ours when its agent is our product token (any /version ignored);
+  // otherwise the `*` group applies
+  const token = USER_AGENT.toLowerCase();
+  const ours = groups.filter(g => g.agents.some(a => a.split('/')[0].trim() === token));
+  const chosen = ours.length > 0 ? ours : groups.filter(g => g.agents.includes('*'));
+  return chosen.flatMap(g => g.rules);
+}
+
+function robotsPattern(path) {
+  const escaped = path.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp('^' + (escaped.endsWith('\\$') ? escaped.slice(0, -2) + '$' : escaped));
+}
+
+// Longest matching rule wins; Allow wins ties
+export function isAllowed(rules, pathname) {
+  let best = null;
+  for (const rule of rules) {
+    if (!robotsPattern(rule.path).test(pathname)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+export async function fetchRobots(origin) {
+  try {
+    const response = await fetch(`${origin}/robots.txt`, { headers: { 'User-Agent': USER_AGENT } });
+    // A missing robots.txt allows everything
+    return response.ok ? await response.text() : '';
+  } catch (error) {
+    return '';
+  }
+}
+
+// Crawl up to pageBudget - 1 key pages beyond the homepage. fetchPage(url)
+// resolves to HTML (or null); getRobots(origin) to robots.txt text.
+export async function crawlSite(url, homepageHtml, { pageBudget, fetchPage, getRobots = fetchRobots }) {
+  const baseUrl = normalizeUrl(url);
+  const limit = pageBudget - 1;
+  if (limit < 1) return [];
+
+  // Links may point at the www/non-www twin, which has its own robots.txt
+  const rulesByOrigin = new Map();
+  const allowed = async (pageUrl) => {
+    const { origin, pathname } = new URL(pageUrl);
+    if (!rulesByOrigin.has(origin)) rulesByOrigin.set(origin, getRobots(origin).then(parseRobots));
+    return isAllowed(await rulesByOrigin.get(origin), pathname);
+  };
+
+  const candidates = [];
+  for (const page of selectKeyPages(homepageHtml, baseUrl, Infinity)) {
+    if (candidates.length === limit) break;
+    if (await allowed(page.url)) candidates.push(page);
+  }
+
+  const pages = [];
+  // One page at a time: this is someone else's site
+  for (const candidate of candidates) {
+    const html = await fetchPage(candidate.url);
+    if (!html) continue;
+    const structured = extractStructuredContent(html, candidate.url);
+    pages.push({ url: candidate.url, kind: candidate.kind, h1: structured.h1, subheadline: structured.subheadline, text: structured.text });
+  }
+  return pages;
+}
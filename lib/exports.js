@@ -0,0 +1,177 @@
+// Structured exports of a completed audit: CSV of the comparison matrix, a
+// Markdown report for Notion/Docs, and versioned JSON matching
+// schemas/audit-v1.json. Bump SCHEMA_VERSION (and add a new schema file)
+// whenever the JSON export changes incompatibly.
+
+import { sectionOrder } from './sections.js';
+
+export const SCHEMA_VERSION = 1;
+export const SCHEMA_PATH = '/schemas/audit-v1.json';
+
+// Cells are scraped or model-written text; one starting like a formula gets a
+// leading ' so Excel and Sheets show it instead of evaluating it
+const csvCell = (value) => {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Comparison matrix: one row per category, one column per brand
+export function toCsv(record) {
+  const { chart } = record.result;
+  const lines = [
+    chart.columns.map(csvCell).join(','),
+    ...chart.rows.map(row => [row.category, ...row.values].map(csvCell).join(','))
+  ];
+  // Byte order mark so Excel opens the em dashes and accents as UTF-8
+  return '\ufeff' + lines.join('\r\n') + '\r\n';
+}
+
+const mdCell = (value) => String(value ?? '—').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+const mdList = (items) => (items || []).map(item => `- ${item}`).join('\n') || '- —';
+
+// " (positioning 63 · voice 39 · visual 72)" under the headline score
+export function scoreBreakdownLine(breakdown) {
+  if (!breakdown) return '';
+  const part = (label, sub) => `${label} ${sub ? sub.score : '—'}`;
+  return ` (${[part('positioning', breakdown.positioning), part('voice', breakdown.voice), part('visual', breakdown.visual)].join(' · ')})`;
+}
+
+// Why a brand's screenshot is missing, e.g. "Blocked: Bot protection
+// (#challenge-form) (tried: waited for challenge, retried with fallback profile)"
+export function captureNote(capture) {
+  if (!capture || capture.status === 'captured' || capture.status === 'unavailable') return 'Could not capture';
+  const tried = capture.mitigations.length ? ` (tried: ${capture.mitigations.join(', ')})` : '';
+  return `${capture.status === 'blocked' ? 'Blocked' : 'Failed'}: ${capture.detail}${tried}`;
+}
+
+// Claude's read of the phone view followed by the measured layout problems,
+// for one brand; null when the brand wasn't captured on mobile
+export function mobileNotes(result, name) {
+  const mobile = result.mobile?.[name];
+  if (!mobile?.captured) return null;
+  return [result.firstImpressions?.[name]?.mobileImpression, mobile.visualStyle, ...mobile.issues].filter(Boolean);
+}
+
+// What a search for one brand's name shows, as lines for the SERP comparison;
+// null when the search failed
+export function searchNotes(result, name) {
+  const search = result.serp?.brands?.[name];
+  if (!search) return null;
+  const notes = [search.rank
+    ? `Own site ranks #${search.rank}: "${search.title}"${search.snippet ? ` — ${search.snippet}` : ''}`
+    : 'Own site not in the results'];
+  if (search.sitelinks.length) notes.push(`Sitelinks: ${search.sitelinks.map(s => s.title).join(', ')}`);
+  if (search.ads.length) notes.push(`Ads: ${search.ads.map(a => a.title).join(', ')}${search.ownAd ? '' : ` (${name} doesn't bid on its own name)`}`);
+  if (search.competitorsRanking.length) notes.push(`Competitors ranking: ${search.competitorsRanking.join(', ')}`);
+  if (search.competitorAds.length) notes.push(`Competitors advertising: ${search.competitorAds.join(', ')}`);
+  return notes;
+}
+
+// One keyword's position for a brand: "#3", "—" when it doesn't rank
+export const keywordRank = (keyword, name) => keyword.rankings?.[name] ? `#${keyword.rankings[name]}` : '—';
+
+const SEO_MARKS = { pass: '✓', warn: '⚠', fail: '✗' };
+
+// One metadata check as a table cell: "⚠ 72 characters; Google truncates…"
+export const seoCell = (check) => check ? `${SEO_MARKS[check.status]} ${check.detail}` : '—';
+
+// Metadata health as rows (Score, then one per check) of [label, ...one cell
+// per brand], brands in result.seo order
+export function seoRows(seo) {
+  const brands = Object.values(seo);
+  const checks = brands.find(Boolean)?.checks || [];
+  return [
+    ['Score', ...brands.map(b => b ? `${b.score}/100` : 'Could not read')],
+    ...checks.map(({ id, label }) => [label, ...brands.map(b => seoCell(b?.checks.find(c => c.id === id)))])
+  ];
+}
+
+export function toMarkdown(record) {
+  const result = record.result;
+  const { companyName, competitors } = record.input;
+  const date = (record.completedAt || record.createdAt).slice(0, 10);
+  const t = result.takeaways || {};
+  const searched = Object.keys(result.serp?.brands || {});
+
+  const sections = [
+    `# Competitive Brand Audit: ${companyName}`,
+    `_${companyName} vs ${competitors.map(c => c.name).join(', ')} · ${date}_`,
+    `**Differentiation score: ${result.score}/100**${scoreBreakdownLine(result.scoreBreakdown)}\n\n> ${result.verdict || ''}`,
+    '## First Impressions\n\n' + Object.entries(result.firstImpressions || {})
+      .map(([name, imp]) => `- **${name}:** ${imp.firstImpression || 'No data'}`).join('\n'),
+    ...(Object.values(result.mobile || {}).some(m => m.captured) ? ['## Mobile\n\n' + Object.keys(result.mobile)
+      .map(name => {
+        const notes = mobileNotes(result, name);
+        if (!notes) return `- **${name}:** Could not capture`;
+        return `- **${name}:**\n${notes.map(note => `  - ${note}`).join('\n') || '  - No issues found'}`;
+      })
+      .join('\n')] : []),
+    '## Side by Side\n\n' + [
+      `| ${result.chart.columns.map(mdCell).join(' | ')} |`,
+      `| ${result.chart.columns.map(() => '---').join(' | ')} |`,
+      ...result.chart.rows.map(row => `| ${[row.category, ...row.values].map(mdCell).join(' | ')} |`)
+    ].join('\n'),
+    ...(result.sections ? ['## Page structure\n\n' + Object.entries(result.sections)
+      .map(([name, sections]) => sections
+        ? `- **${name}:** ${sectionOrder(sections)}\n${sections.filter(s => s.imagery).map(s => `  - ${s.kind}: ${s.imagery}`).join('\n')}`.trimEnd()
+        : `- **${name}:** Could not capture`)
+      .join('\n')] : []),
+    ...(result.serp ? ['## Search results\n\n' + searched
+      .map(name => {
+        const notes = searchNotes(result, name);
+        if (!notes) return `- **${name}:** Search failed`;
+        return `- **${name}** (searching "${result.serp.brands[name].query}"):\n${notes.map(note => `  - ${note}`).join('\n')}`;
+      })
+      .join('\n') + (result.serp.keywords.length ? '\n\n' + [
+      `| ${['Keyword', ...searched, 'Advertisers'].map(mdCell).join(' | ')} |`,
+      `| ${['Keyword', ...searched, 'Advertisers'].map(() => '---').join(' | ')} |`,
+      ...result.serp.keywords.map(k => `| ${[k.query, ...searched.map(name => k.rankings ? keywordRank(k, name) : 'search failed'), k.advertisers.join(', ') || '—'].map(mdCell).join(' | ')} |`)
+    ].join('\n') : '')] : []),
+    ...(result.seo ? ['## Metadata health\n\n' + [
+      `| ${['Check', ...Object.keys(result.seo)].map(mdCell).join(' | ')} |`,
+      `| ${['Check', ...Object.keys(result.seo)].map(() => '---').join(' | ')} |`,
+      ...seoRows(result.seo).map(row => `| ${row.map(mdCell).join(' | ')} |`)
+    ].join('\n')] : []),
+    '## The Verdict',
+    '### What sets you apart\n\n' + mdList(result.standouts),
+    '### Where you blend in\n\n' + ((result.overlaps || [])
+      .map(o => `- **${o.category}:** ${o.pattern || o.observation} _(${(o.who || o.brands || []).join(', ')})_`)
+      .join('\n') || 'No significant patterns found.'),
+    ...(result.cliches ? ['### Generic language\n\n' + Object.entries(result.cliches.brands)
+      .map(([name, found]) => `- **${name}:** ${[...found.cliches, ...found.shared].map(c => `"${c.phrase}" ×${c.count}`).join(', ') || 'nothing generic found'}`)
+      .join('\n')] : []),
+    '## What This Means For You',
+    `### Keep\n\n${mdList(t.keep)}`,
+    `### Fix\n\n${mdList(t.fix)}`,
+    `### Explore\n\n${mdList(t.explore)}`,
+    `### Watch\n\n${mdList(t.watch)}`
+  ];
+
+  return sections.join('\n\n') + '\n';
+}
+
+// The complete audit in the versioned export format. Screenshots are only
+// embedded (as base64 JPEG) when includeImages is set; they dwarf everything else.
+export function toJsonExport(record, { includeImages = false } = {}) {
+  const { screenshots, googleScreenshots, ...result } = record.result;
+
+  return {
+    $schema: SCHEMA_PATH,
+    schemaVersion: SCHEMA_VERSION,
+    id: record.id,
+    createdAt: record.createdAt,
+    completedAt: record.completedAt,
+    company: { name: record.input.companyName, url: record.input.companyUrl },
+    competitors: record.input.competitors.map(c => ({ name: c.name, url: c.url })),
+    ...result,
+    screenshots: Object.fromEntries(Object.entries(screenshots || {}).map(([name, shot]) => [name, {
+      url: shot.url,
+      image: includeImages ? shot.image : undefined,
+      mobileImage: includeImages ? shot.mobileImage : undefined,
+      sectionImages: includeImages ? shot.sectionImages : undefined,
+      googleImage: includeImages ? googleScreenshots?.[name] : undefined
+    }]))
+  };
+}
@@ -0,0 +1,237 @@
+// Pulls the pieces of a homepage the audit prompts care about out of raw
+// HTML, using a real DOM (cheerio) so attribute order, nesting and entities
+// don't matter.
+
+import * as cheerio from 'cheerio';
+
+// Overlays that sit above the real content and often come first in the markup
+const OVERLAY_SELECTOR = [
+  '[id*="cookie" i]', '[class*="cookie" i]',
+  '[id*="consent" i]', '[class*="consent" i]',
+  '[id*="gdpr" i]', '[class*="gdpr" i]',
+  '[role="dialog"]', '[aria-modal="true"]', 'dialog'
+].join(', ');
+
+const ORGANIZATION_TYPES = ['Organization', 'Corporation', 'LocalBusiness', 'OnlineBusiness', 'NGO', 'EducationalOrganization'];
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol',
+  'p', 'section', 'table', 'td', 'th', 'tr', 'ul', 'button', 'a'
+]);
+
+const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+// Visible text of a node, with block boundaries turned into spaces so
+// "<h1>Fast</h1><p>Simple</p>" reads "Fast Simple", not "FastSimple"
+function textOf(node) {
+  const parts = [];
+  const walk = (n) => {
+    if (n.type === 'text') {
+      parts.push(n.data);
+    } else if (n.children) {
+      const block = BLOCK_TAGS.has(n.tagName);
+      if (block) parts.push(' ');
+      n.children.forEach(walk);
+      if (block) parts.push(' ');
+    }
+  };
+  if (node) walk(node);
+  return clean(parts.join(''));
+}
+
+const unique = (items, limit) => [...new Set(items.filter(Boolean))].slice(0, limit);
+
+function resolveUrl(url, baseUrl) {
+  if (!url) return '';
+  try {
+    return baseUrl ? new URL(url, baseUrl).toString() : url;
+  } catch (e) {
+    return url;
+  }
+}
+
+function metaContent($, selector) {
+  return clean($(selector).first().attr('content'));
+}
+
+// Open Graph / Twitter card tags, keyed without their prefix
+function prefixedMeta($, attribute, prefix) {
+  const tags = {};
+  $(`meta[${attribute}^="${prefix}:"]`).each((i, el) => {
+    const key = $(el).attr(attribute).slice(prefix.length + 1).replace(/:(\w)/g, (m, c) => c.toUpperCase());
+    const value = clean($(el).attr('content'));
+    if (key && value && !(key in tags)) tags[key] = value;
+  });
+  return tags;
+}
+
+// Every entity in the page's JSON-LD, including @graph entries
+function jsonLdEntities($) {
+  const entities = [];
+  $('script[type="application/ld+json"]').each((i, el) => {
+    try {
+      const data = JSON.parse($(el).contents().text());
+      for (const item of [data].flat()) {
+        entities.push(item, ...[item?.['@graph'] || []].flat());
+      }
+    } catch (e) {
+      // Malformed JSON-LD is common; skip it
+    }
+  });
+  return entities.filter(Boolean);
+}
+
+// First Organization-like entity in the page's JSON-LD
+function extractOrganization($) {
+  const entities = jsonLdEntities($);
+  const org = entities.find(e => e && [e['@type']].flat().some(t => ORGANIZATION_TYPES.includes(t)));
+  if (!org) return null;
+  return {
+    name: clean(org.name) || null,
+    url: org.url || null,
+    logo: (typeof org.logo === 'string' ? org.logo : org.logo?.url) || null,
+    description: clean(org.description) || null,
+    sameAs: [org.sameAs || []].flat().filter(s => typeof s === 'string')
+  };
+}
+
+// Values that say nothing about the brand's actual colors or fonts
+const CSS_KEYWORDS = new Set(['inherit', 'initial', 'unset', 'revert', 'transparent', 'currentcolor', 'none', 'auto', 'var']);
+
+// Rough color and font hints from inline CSS, for the messaging prompt.
+// The audit's palette and typography are measured from the rendered page (identity.js).
+function extractCssHints(html) {
+  const colorMatches = html.match(/(?:color|background|background-color)\s*:\s*(#[0-9a-fA-F]{3,6}|rgb\([^)]+\)|[a-z]+)/gi) || [];
+  const colors = [...new Set(colorMatches.map(c => c.split(':')[1]?.trim()).filter(c => c && !CSS_KEYWORDS.has(c.toLowerCase())))].slice(0, 5);
+
+  const fontMatches = html.match(/font-family\s*:\s*['"]?([^'";,]+)/gi) || [];
+  const fonts = [...new Set(fontMatches.map(f => f.split(':')[1]?.trim().replace(/['"]/g, '')).filter(f => f && !CSS_KEYWORDS.has(f.toLowerCase())))].slice(0, 3);
+
+  // Also check for Google Fonts links
+  const googleFontMatch = html.match(/fonts\.googleapis\.com\/css[^"']+family=([^"'&]+)/i);
+  if (googleFontMatch) {
+    const googleFonts = decodeURIComponent(googleFontMatch[1]).split('|').map(f => f.split(':')[0].replace(/\+/g, ' '));
+    fonts.push(...googleFonts);
+  }
+
+  return {
+    colors: colors.join(', ') || 'Could not detect',
+    fonts: [...new Set(fonts)].slice(0, 3).join(', ') || 'Could not detect'
+  };
+}
+
+// The first heading or paragraph after the H1 that reads like a subheadline
+function findSubheadline($, h1) {
+  const blocks = $('h1, h2, h3, p').toArray();
+  const start = h1 ? blocks.indexOf(h1) + 1 : 0;
+  for (const el of blocks.slice(start)) {
+    const text = textOf(el);
+    if (text.length >= 15 && text.length <= 300) return text;
+  }
+  return '';
+}
+
+// Helper function to extract structured content from HTML. baseUrl, when
+// given, resolves relative canonical and og:image URLs.
+export function extractStructuredContent(html, baseUrl) {
+  html = html || '';
+  const $ = cheerio.load(html);
+
+  const metaTitle = clean($('head > title').first().text() || $('title').first().text());
+  const metaDescription = metaContent($, 'meta[name="description" i]');
+  const openGraph = prefixedMeta($, 'property', 'og');
+  const twitter = { ...prefixedMeta($, 'property', 'twitter'), ...prefixedMeta($, 'name', 'twitter') };
+  if (openGraph.image) openGraph.image = resolveUrl(openGraph.image, baseUrl);
+  const canonicalUrl = resolveUrl($('link[rel="canonical" i]').first().attr('href'), baseUrl) || null;
+  const organization = extractOrganization($);
+
+  // Strip everything that isn't visible page copy before reading text
+  $('script, style, noscript, template, svg, iframe').remove();
+  // Consent plugins also put classes like "cookie-consent-pending" on <body>
+  // and page wrappers, so only overlays inside the body that don't hold the
+  // main content go
+  $('body').find(OVERLAY_SELECTOR)
+    .filter((i, el) => el.tagName !== 'main' && $(el).find('h1').length === 0)
+    .remove();
+
+  const nav = unique($('nav a, [role="navigation"] a').toArray().map(el => textOf(el)), 15);
+
+  const ctas = unique(
+    $('button, a[role="button"], a[class*="btn" i], a[class*="button" i], a[class*="cta" i]')
+      .not('nav *, footer *, [role="navigation"] *')
+      .toArray()
+      .map(el => textOf(el))
+      .filter(label => label.length >= 2 && label.length <= 40),
+    10
+  );
+
+  const headings = $('h1, h2, h3, h4')
+    .not('nav *, footer *')
+    .toArray()
+    .map(el => ({ level: Number(el.tagName[1]), text: textOf(el).substring(0, 200) }))
+    .filter(h => h.text)
+    .slice(0, 40);
+
+  const h1El = $('main h1').first().get(0) || $('h1').first().get(0);
+  const h1 = textOf(h1El);
+  let subheadline = findSubheadline($, h1El);
+  if (!subheadline) {
+    subheadline = textOf($('p[class*="hero" i], p[class*="subtitle" i], p[class*="lead" i], p[class*="intro" i]').get(0));
+  }
+
+  const heroEl = h1El ? $(h1El).closest('section, header, [class*="hero" i]').get(0) : null;
+  const heroCopy = (heroEl ? textOf(heroEl) : clean([h1, subheadline].join(' '))).substring(0, 500);
+
+  $('nav, footer, [role="navigation"]').remove();
+  const text = textOf($('body').get(0) || $.root().get(0)).substring(0, 1500);
+
+  return {
+    metaTitle: metaTitle.substring(0, 200),
+    metaDescription: metaDescription.substring(0, 300),
+    h1: h1.substring(0, 200),
+    subheadline: subheadline.substring(0, 300),
+    ...extractCssHints(html),
+    openGraph,
+    twitter,
+    canonicalUrl,
+    headings,
+    heroCopy,
+    ctas,
+    nav,
+    organization,
+    text
+  };
+}
+
+// The tags and markup search engines and link previews read, untruncated, for
+// the metadata health checks in seo.js. baseUrl resolves relative URLs.
+export function extractMetadata(html, baseUrl) {
+  const $ = cheerio.load(html || '');
+  const openGraph = prefixedMeta($, 'property', 'og');
+  if (openGraph.image) openGraph.image = resolveUrl(openGraph.image, baseUrl);
+
+  const images = $('body img').toArray()
+    // Tracking pixels aren't content
+    .filter(el => !($(el).attr('width') === '1' && $(el).attr('height') === '1'));
+
+  return {
+    title: clean($('head > title').first().text() || $('title').first().text()),
+    description: metaContent($, 'meta[name="description" i]'),
+    openGraph,
+    twitterCard: metaContent($, 'meta[name="twitter:card" i]') || metaContent($, 'meta[property="twitter:card" i]') || null,
+    icons: unique($('link[rel~="icon" i], link[rel="apple-touch-icon" i]').toArray().map(el => resolveUrl($(el).attr('href'), baseUrl)), 10),
+    canonicals: unique($('link[rel="canonical" i]').toArray().map(el => resolveUrl($(el).attr('href'), baseUrl)), 5),
+    // Every heading in page order, navigation and footer included: that's the outline crawlers see
+    headings: $('h1, h2, h3, h4, h5, h6').toArray()
+      .map(el => ({ level: Number(el.tagName[1]), text: textOf(el).substring(0, 120) }))
+      .slice(0, 100),
+    images: images.length,
+    // alt="" marks an image as decorative, which is fine; no alt at all isn't
+    imagesWithoutAlt: images.filter(el => $(el).attr('alt') === undefined).length,
+    structuredData: {
+      jsonLd: unique(jsonLdEntities($).flatMap(e => [e['@type']].flat()).filter(t => typeof t === 'string'), 10),
+      microdata: unique($('[itemtype]').toArray().map(el => $(el).attr('itemtype').split('/').pop()), 10)
+    }
+  };
+}
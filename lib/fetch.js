@@ -0,0 +1,60 @@
+// Fetching helpers shared by the Express server and the Netlify functions
+
+// Sent with every request to audited sites, and the product token robots.txt
+// rules are matched against (see parseRobots in crawl.js)
+export const USER_AGENT = 'BrandAuditBot';
+
+// Helper function to normalize URL
+export function normalizeUrl(url) {
+  url = url.trim();
+  // Add https:// if no protocol
+  if (!url.startsWith('http://') && !url.startsWith('https://')) {
+    url = 'https://' + url;
+  }
+  return url;
+}
+
+// Stable key for grouping audits of the same company: host without www.
+export function companyKey(url) {
+  try {
+    return new URL(normalizeUrl(url)).host.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return url.trim().toLowerCase();
+  }
+}
+
+// Helper function to fetch website content
+export async function fetchWebsite(url) {
+  url = normalizeUrl(url);
+  try {
+    const response = await fetch(url, { headers: { 'User-Agent': USER_AGENT } });
+    const html = await response.text();
+    return html;
+  } catch (error) {
+    // If failed, try with www. prefix
+    if (!url.includes('://www.')) {
+      const wwwUrl = url.replace('://', '://www.');
+      try {
+        const response = await fetch(wwwUrl, { headers: { 'User-Agent': USER_AGENT } });
+        const html = await response.text();
+        return html;
+      } catch (e) {
+        console.error(`Error fetching ${url}:`, error);
+        return null;
+      }
+    }
+    console.error(`Error fetching ${url}:`, error);
+    return null;
+  }
+}
+
+// Whether the site serves /favicon.ico, which browsers fall back to when the
+// page has no icon link
+export async function fetchRootFavicon(origin) {
+  try {
+    const response = await fetch(`${origin}/favicon.ico`, { method: 'HEAD', headers: { 'User-Agent': USER_AGENT } });
+    return response.ok && !(response.headers.get('content-type') || '').includes('text/html');
+  } catch (error) {
+    return false;
+  }
+}
@@ -0,0 +1,135 @@
+// Audit history per company and run-over-run diffs. Audits are grouped by
+// companyKey(companyUrl), so "acme.com" and "https://www.acme.com/" share a
+// history.
+
+import { companyKey } from './fetch.js';
+import { listAudits } from './store.js';
+
+// Audit ids are bearer secrets (anyone holding one can read the audit), so
+// summaries never include them, not even on the admin history routes
+function summarizeAudit(record) {
+  return {
+    companyName: record.input.companyName,
+    companyUrl: record.input.companyUrl,
+    competitors: record.input.competitors.map(c => c.name),
+    createdAt: record.createdAt,
+    completedAt: record.completedAt,
+    score: record.result.score,
+    verdict: record.result.verdict
+  };
+}
+
+async function completedAudits() {
+  const audits = await listAudits();
+  return audits
+    .filter(record => record.status === 'complete' && record.result)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Companies with at least one completed audit, most recently audited first
+export async function listCompanies() {
+  const companies = new Map();
+  for (const record of await completedAudits()) {
+    const key = companyKey(record.input.companyUrl);
+    if (!companies.has(key)) {
+      companies.set(key, {
+        company: key,
+        companyName: record.input.companyName,
+        audits: 0,
+        lastAuditAt: record.createdAt
+      });
+    }
+    companies.get(key).audits++;
+  }
+  return [...companies.values()];
+}
+
+// Completed audits for one company, newest first. Accepts a key or any URL form.
+export async function getCompanyHistory(company) {
+  const key = companyKey(company);
+  return (await completedAudits())
+    .filter(record => companyKey(record.input.companyUrl) === key)
+    .map(summarizeAudit);
+}
+
+// Per-brand profiles of a result. Audits saved before results carried a
+// `brands` field are rebuilt from the chart rows.
+function brandProfiles(result) {
+  if (result.brands) return result.brands;
+
+  const [, ...names] = result.chart.columns;
+  const row = (category) => result.chart.rows.find(r => r.category === category)?.values || [];
+  return Object.fromEntries(names.map((name, i) => {
+    const voice = row('Voice')[i] || '';
+    return [name, {
+      positioning: row('Positioning')[i] || null,
+      voiceAdjectives: voice.split(' — ')[0].split(',').map(a => a.trim()).filter(a => a && a !== '—'),
+      visualStyle: row('Visual Style')[i] || null
+    }];
+  }));
+}
+
+const normalizeText = (text) => (text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+function diffText(from, to) {
+  return { from: from ?? null, to: to ?? null, changed: normalizeText(from) !== normalizeText(to) };
+}
+
+function diffList(from, to, keyOf) {
+  const fromKeys = new Set(from.map(keyOf));
+  const toKeys = new Set(to.map(keyOf));
+  return {
+    appeared: to.filter(item => !fromKeys.has(keyOf(item))),
+    disappeared: from.filter(item => !toKeys.has(keyOf(item))),
+    unchanged: to.filter(item => fromKeys.has(keyOf(item)))
+  };
+}
+
+const visualOf = (profile) =>
+  [profile.colors, profile.typography, profile.visualStyle].filter(Boolean).join(' · ') || null;
+
+// What changed between two completed audit records, reading from -> to
+export function diffAudits(fromRecord, toRecord) {
+  const from = fromRecord.result;
+  const to = toRecord.result;
+  const fromBrands = brandProfiles(from);
+  const toBrands = brandProfiles(to);
+
+  const names = [...new Set([...Object.keys(toBrands), ...Object.keys(fromBrands)])];
+  const brands = names.map(name => {
+    const before = fromBrands[name];
+    const after = toBrands[name];
+    if (!before || !after) {
+      return { name, status: before ? 'removed' : 'added' };
+    }
+
+    const adjectives = diffList(before.voiceAdjectives || [], after.voiceAdjectives || [], normalizeText);
+    return {
+      name,
+      status: 'compared',
+      positioning: diffText(before.positioning, after.positioning),
+      voiceAdjectives: {
+        from: before.voiceAdjectives || [],
+        to: after.voiceAdjectives || [],
+        added: adjectives.appeared,
+        removed: adjectives.disappeared
+      },
+      visualStyle: diffText(visualOf(before), visualOf(after))
+    };
+  });
+
+  const overlapKey = (overlap) => `${overlap.category}:${normalizeText(overlap.pattern || overlap.observation)}`;
+
+  return {
+    from: summarizeAudit(fromRecord),
+    to: summarizeAudit(toRecord),
+    score: {
+      from: from.score,
+      to: to.score,
+      change: (to.score ?? 0) - (from.score ?? 0)
+    },
+    brands,
+    overlaps: diffList(from.overlaps || [], to.overlaps || [], overlapKey),
+    standouts: diffList(from.standouts || [], to.standouts || [], normalizeText)
+  };
+}
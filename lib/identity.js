@@ -0,0 +1,246 @@
+// Deterministic visual identity from a rendered page: dominant colors from
+// the screenshot's pixels, tagged with the roles computed styles give them
+// (background, text, heading, button...), and the font families actually
+// used for headings, body and buttons.
+
+import jpeg from 'jpeg-js';
+import { parseColor, toHex, rgbToLab, deltaE, chroma, colorName } from './color.js';
+
+// Sample every Nth pixel in each direction; plenty for dominant colors
+const SAMPLE_STEP = 4;
+// Buckets/styles closer than this ΔE count as the same swatch
+const MERGE_DISTANCE = 12;
+const MIN_WEIGHT = 0.01;
+const MAX_SWATCHES = 6;
+
+const GENERIC_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-sans-serif', 'ui-serif', 'ui-monospace', '-apple-system', 'blinkmacsystemfont'];
+
+// Screenshot pixels quantized to 5 bits per channel: [{ rgb, lab, count }], plus the sample total
+function quantize(base64) {
+  const { width, height, data } = jpeg.decode(Buffer.from(base64, 'base64'), { useTArray: true });
+  const buckets = new Map();
+  let total = 0;
+
+  for (let y = 0; y < height; y += SAMPLE_STEP) {
+    for (let x = 0; x < width; x += SAMPLE_STEP) {
+      const i = (y * width + x) * 4;
+      const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        bucket = { r: 0, g: 0, b: 0, count: 0 };
+        buckets.set(key, bucket);
+      }
+      bucket.r += data[i];
+      bucket.g += data[i + 1];
+      bucket.b += data[i + 2];
+      bucket.count++;
+      total++;
+    }
+  }
+
+  const list = [...buckets.values()].map(bucket => {
+    const rgb = { r: bucket.r / bucket.count, g: bucket.g / bucket.count, b: bucket.b / bucket.count };
+    return { rgb, lab: rgbToLab(rgb), count: bucket.count };
+  });
+  return { buckets: list.sort((a, b) => b.count - a.count), total };
+}
+
+// Greedy clustering of the biggest buckets into swatches
+function clusterBuckets(buckets, total) {
+  const clusters = [];
+  // The long tail of tiny buckets is anti-aliasing and photo noise
+  for (const bucket of buckets.slice(0, 400)) {
+    const cluster = clusters.find(c => deltaE(c.lab, bucket.lab) < MERGE_DISTANCE);
+    if (cluster) {
+      const count = cluster.count + bucket.count;
+      for (const channel of ['r', 'g', 'b']) {
+        cluster.rgb[channel] = (cluster.rgb[channel] * cluster.count + bucket.rgb[channel] * bucket.count) / count;
+      }
+      cluster.count = count;
+    } else {
+      clusters.push({ rgb: { ...bucket.rgb }, lab: bucket.lab, count: bucket.count });
+    }
+  }
+  return clusters.map(c => ({ hex: toHex(c.rgb), lab: rgbToLab(c.rgb), weight: c.count / total, roles: [] }));
+}
+
+// Colors the page's computed styles assign to brand-carrying elements
+function styleColors(styles) {
+  if (!styles) return [];
+  const entries = [
+    ['background', styles.body?.backgroundColor],
+    ['background', styles.html?.backgroundColor],
+    ['text', styles.body?.color],
+    ['heading', styles.h1?.color],
+    ['heading', styles.h2?.color],
+    ['button', styles.button?.backgroundColor],
+    ['button text', styles.button?.color],
+    ['link', styles.link?.color],
+    ['header', styles.header?.backgroundColor]
+  ];
+  return entries
+    .map(([role, value]) => ({ role, color: parseColor(value) }))
+    .filter(({ color }) => color && color.a > 0.5);
+}
+
+// Hex swatches with the share of the above-the-fold screenshot each covers
+// and the roles computed styles give them, most used first
+export function extractPalette(screenshot, styles) {
+  const { buckets, total } = screenshot ? quantize(screenshot) : { buckets: [], total: 0 };
+  const swatches = total > 0 ? clusterBuckets(buckets, total) : [];
+
+  for (const { role, color } of styleColors(styles)) {
+    const lab = rgbToLab(color);
+    let swatch = swatches.find(s => deltaE(s.lab, lab) < MERGE_DISTANCE);
+    if (!swatch) {
+      // Used by an element but not a big block of color: weigh it by the pixels near it
+      const near = buckets.filter(b => deltaE(b.lab, lab) < MERGE_DISTANCE).reduce((sum, b) => sum + b.count, 0);
+      swatch = { hex: toHex(color), lab, weight: total > 0 ? near / total : 0, roles: [] };
+      swatches.push(swatch);
+    }
+    if (!swatch.roles.includes(role)) swatch.roles.push(role);
+  }
+
+  const significant = swatches
+    .filter(s => s.roles.length > 0 || s.weight >= MIN_WEIGHT)
+    .sort((a, b) => b.weight - a.weight);
+  const top = significant.filter(s => s.roles.length === 0).slice(0, MAX_SWATCHES);
+  return significant
+    .filter(s => s.roles.length > 0 || top.includes(s))
+    .map(({ hex, weight, roles }) => ({ hex, weight: Math.round(weight * 1000) / 1000, roles }));
+}
+
+// The family a font stack actually renders with: the first one the page
+// loaded as a web font, else the first named family
+function resolveFamily(stack, loadedFonts) {
+  const families = (stack || '').split(',').map(f => f.trim().replace(/^['"]|['"]$/g, '')).filter(Boolean);
+  const loaded = new Set((loadedFonts || []).map(f => f.toLowerCase()));
+  return families.find(f => loaded.has(f.toLowerCase()))
+    || families.find(f => !GENERIC_FAMILIES.includes(f.toLowerCase()))
+    || families[0]
+    || null;
+}
+
+// Font families with the weights and places they're used
+export function extractTypography(styles) {
+  if (!styles) return [];
+  const usages = [
+    ['headings', styles.h1],
+    ['headings', styles.h2],
+    ['body', styles.body],
+    ['buttons', styles.button]
+  ];
+
+  const fonts = new Map();
+  for (const [usage, style] of usages) {
+    const family = resolveFamily(style?.fontFamily, styles.loadedFonts);
+    if (!family) continue;
+    if (!fonts.has(family)) fonts.set(family, { family, weights: [], usage: [] });
+    const font = fonts.get(family);
+    const weight = Number(style.fontWeight) || 400;
+    if (!font.weights.includes(weight)) font.weights.push(weight);
+    if (!font.usage.includes(usage)) font.usage.push(usage);
+  }
+  return [...fonts.values()].map(f => ({ ...f, weights: f.weights.sort((a, b) => a - b) }));
+}
+
+// { palette, typography } for a page capture, or null without one
+export function extractIdentity(pageCapture) {
+  if (!pageCapture?.screenshot && !pageCapture?.styles) return null;
+  try {
+    return {
+      palette: extractPalette(pageCapture.screenshot, pageCapture.styles),
+      typography: extractTypography(pageCapture.styles)
+    };
+  } catch (error) {
+    console.error('Error extracting visual identity:', error.message);
+    return null;
+  }
+}
+
+// Short text versions for prompts and the chart
+export function describeIdentity(identity) {
+  if (!identity) return {};
+  const described = {};
+  if (identity.palette.length > 0) {
+    described.colors = identity.palette.slice(0, 4).map(s => s.hex).join(', ');
+  }
+  if (identity.typography.length > 0) {
+    described.typography = identity.typography.map(f => `${f.family} ${f.weights.join('/')}`).join(', ');
+  }
+  return described;
+}
+
+// Swatches this colorful count as brand colors rather than neutrals
+const MIN_BRAND_CHROMA = 15;
+// Primary colors closer than this ΔE are flagged as a visual overlap
+export const PRIMARY_COLOR_THRESHOLD = 15;
+// Palette distance (ΔE) at which similarity bottoms out at 0
+const MAX_PALETTE_DISTANCE = 50;
+
+const brandColors = (identity) => (identity?.palette || [])
+  .map(s => ({ ...s, lab: rgbToLab(parseColor(s.hex)) }))
+  .filter(s => chroma(s.lab) >= MIN_BRAND_CHROMA);
+
+// The brand's signature color: the button color if it has one, else the most
+// used colorful swatch that styles assign a role, else the most used colorful one.
+// null for all-neutral sites.
+export function primaryColor(identity) {
+  const colors = brandColors(identity);
+  const pick = colors.find(s => s.roles.includes('button'))
+    || colors.find(s => s.roles.length > 0)
+    || colors[0];
+  return pick?.hex || null;
+}
+
+// Average ΔE from each of one palette's colors to its nearest match in the
+// other, weighted by use and taken both ways. Neutrals are left out when both
+// sites have brand colors, since nearly everyone has a white background.
+function paletteDistance(identityA, identityB) {
+  let a = brandColors(identityA);
+  let b = brandColors(identityB);
+  if (a.length === 0 || b.length === 0) {
+    if (a.length !== b.length) return MAX_PALETTE_DISTANCE;
+    a = identityA.palette.map(s => ({ ...s, lab: rgbToLab(parseColor(s.hex)) }));
+    b = identityB.palette.map(s => ({ ...s, lab: rgbToLab(parseColor(s.hex)) }));
+    if (a.length === 0 || b.length === 0) return null;
+  }
+
+  const oneWay = (from, to) => {
+    const total = from.reduce((sum, s) => sum + Math.max(s.weight, 0.01), 0);
+    return from.reduce((sum, s) => sum + Math.max(s.weight, 0.01) * Math.min(...to.map(t => deltaE(s.lab, t.lab))), 0) / total;
+  };
+  return (oneWay(a, b) + oneWay(b, a)) / 2;
+}
+
+// Pairwise palette similarity (0-100, null where a brand wasn't captured),
+// each brand's primary color, and a 'visual' overlap for competitors whose
+// primary color is within PRIMARY_COLOR_THRESHOLD of the company's
+export function comparePalettes(companyName, identities) {
+  const brands = Object.keys(identities);
+  const matrix = brands.map(a => brands.map(b => {
+    if (!identities[a] || !identities[b]) return null;
+    if (a === b) return 100;
+    const distance = paletteDistance(identities[a], identities[b]);
+    return distance === null ? null : Math.round(100 * Math.max(0, 1 - distance / MAX_PALETTE_DISTANCE));
+  }));
+
+  const primaryColors = Object.fromEntries(brands.map(name => [name, primaryColor(identities[name])]));
+  const companyPrimary = primaryColors[companyName];
+  const overlaps = [];
+  if (companyPrimary) {
+    const companyLab = rgbToLab(parseColor(companyPrimary));
+    const matches = brands.filter(name => name !== companyName && primaryColors[name]
+      && deltaE(companyLab, rgbToLab(parseColor(primaryColors[name]))) < PRIMARY_COLOR_THRESHOLD);
+    if (matches.length > 0) {
+      overlaps.push({
+        category: 'visual',
+        pattern: `Same primary color: ${colorName(companyPrimary)} (${[companyPrimary, ...matches.map(name => primaryColors[name])].join(', ')})`,
+        who: [companyName, ...matches],
+        measured: true
+      });
+    }
+  }
+
+  return { brands, matrix, primaryColors, overlaps };
+}
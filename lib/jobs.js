@@ -0,0 +1,74 @@
+// Background audit jobs. A job is an audit record that is persisted as soon
+// as it is created and updated as the pipeline reports progress, so clients
+// can poll for it (and pick it back up after a page reload) instead of
+// holding a request open for the whole audit.
+
+import { runAudit } from './audit.js';
+import { newAuditId, saveAudit, loadAudit, listAudits } from './store.js';
+
+const activeJobs = new Map();
+
+function persist(record) {
+  record.updatedAt = new Date().toISOString();
+  return saveAudit(record).catch(error => {
+    console.error(`Error saving audit ${record.id}:`, error);
+  });
+}
+
+async function runJob(record) {
+  try {
+    record.result = await runAudit(record.input, {
+      onProgress: (event, data) => {
+        record.progress.push({ event, data, at: new Date().toISOString() });
+        persist(record);
+      }
+    });
+    record.status = 'complete';
+  } catch (error) {
+    console.error(`Audit ${record.id} failed:`, error);
+    record.status = 'failed';
+    record.error = error.message;
+  }
+
+  record.completedAt = new Date().toISOString();
+  await persist(record);
+  activeJobs.delete(record.id);
+}
+
+// Create an audit record and start the pipeline without waiting for it.
+// input is what parseAuditRequest returns.
+export async function startAuditJob(input) {
+  const now = new Date().toISOString();
+  const record = {
+    id: newAuditId(),
+    status: 'running',
+    input,
+    progress: [],
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
+
+  await saveAudit(record);
+  activeJobs.set(record.id, record);
+  runJob(record);
+  return record;
+}
+
+export async function getAuditJob(id) {
+  return activeJobs.get(id) || loadAudit(id);
+}
+
+// Jobs still marked running on startup were cut off by a restart
+export async function recoverInterruptedJobs() {
+  for (const record of await listAudits()) {
+    if (record.status === 'running' && !activeJobs.has(record.id)) {
+      record.status = 'failed';
+      record.error = 'Audit was interrupted by a server restart';
+      record.completedAt = new Date().toISOString();
+      await persist(record);
+    }
+  }
+}
@@ -0,0 +1,74 @@
+// The LLM behind the analysis steps. LLM_PROVIDER picks the provider
+// ('anthropic' by default, 'mock' for offline runs from fixtures); LLM_MODEL
+// sets the model for every step and LLM_MODEL_<STEP> overrides it for one,
+// e.g. LLM_MODEL_FIRST_IMPRESSIONS=claude-3-5-haiku-latest.
+//
+// A provider is { name, defaultModel, createMessage(request) } where request is
+// { step, model, maxTokens, tools, toolChoice, messages } in the Anthropic
+// Messages format, resolving to { content, stopReason, usage, rateLimit? }.
+// Failed calls throw errors with the HTTP `status` (and `retryAfterMs` when
+// the provider said how long to wait, `retryable` for connection failures)
+// so the scheduler can retry them.
+
+import { createAnthropicProvider } from './providers/anthropic.js';
+import { createMockProvider } from './providers/mock.js';
+import { createScheduler } from './scheduler.js';
+import { recordCall } from './usage.js';
+
+const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  mock: createMockProvider
+};
+
+let provider = null;
+
+// LLM_MAX_RETRIES may be 0; anything that isn't a whole number falls back to 4
+function maxRetriesFromEnv() {
+  const raw = process.env.LLM_MAX_RETRIES;
+  if (raw === undefined || raw.trim() === '') return 4;
+  const value = Number(raw);
+  if (Number.isInteger(value) && value >= 0) return value;
+  console.error(`Ignoring LLM_MAX_RETRIES "${raw}", not a whole number`);
+  return 4;
+}
+
+// Shared by every audit in the process, so concurrent audits share the rate limit too
+const scheduler = createScheduler({
+  concurrency: Number(process.env.LLM_CONCURRENCY) || 3,
+  maxRetries: maxRetriesFromEnv()
+});
+
+export function getProvider() {
+  if (!provider) {
+    const name = process.env.LLM_PROVIDER || 'anthropic';
+    const create = PROVIDERS[name];
+    if (!create) {
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    provider = create();
+  }
+  return provider;
+}
+
+// firstImpressions -> FIRST_IMPRESSIONS
+const envName = (step) => step.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+
+export function modelFor(step) {
+  return process.env[`LLM_MODEL_${envName(step)}`] || process.env.LLM_MODEL || getProvider().defaultModel;
+}
+
+// Images sent with a request (repair retries send them again)
+const countImages = (messages) => messages
+  .flatMap(message => Array.isArray(message.content) ? message.content : [])
+  .filter(block => block.type === 'image')
+  .length;
+
+// One LLM call for an analysis step, on the configured provider and model,
+// through the scheduler. Tokens, images and latency are recorded for the audit.
+export async function createMessage(step, request) {
+  const model = modelFor(step);
+  const { result, latencyMs, retries } = await scheduler.schedule(() =>
+    getProvider().createMessage({ step, model, ...request }));
+  recordCall({ step, model, latencyMs, retries, images: countImages(request.messages), ...result.usage });
+  return result;
+}
@@ -0,0 +1,27 @@
+// Mobile findings measured from the phone-viewport capture (readMobileLayout
+// in screenshots.js), alongside Claude's read of the mobile screenshot.
+
+// Body text smaller than this is hard to read on a phone without zooming
+const MIN_BODY_FONT_SIZE = 14;
+
+// Plain-language problems with a brand's mobile homepage; empty when it passes
+export function mobileIssues(layout) {
+  if (!layout) return [];
+  const issues = [];
+  if (!layout.viewportMeta) {
+    issues.push('No viewport meta tag, so phones show the desktop layout zoomed out');
+  }
+  if (layout.pageWidth > layout.viewportWidth + 1) {
+    issues.push(`Page is ${layout.pageWidth}px wide on a ${layout.viewportWidth}px screen and scrolls sideways`);
+  }
+  if (layout.bodyFontSize < MIN_BODY_FONT_SIZE) {
+    issues.push(`Body text is ${layout.bodyFontSize}px, under the ${MIN_BODY_FONT_SIZE}px that reads comfortably on a phone`);
+  }
+  if (layout.smallTapTargets > 0) {
+    issues.push(`${layout.smallTapTargets} of ${layout.tapTargets} tap targets above the fold are smaller than 24px`);
+  }
+  if (!layout.buttonAboveFold) {
+    issues.push('No button above the fold');
+  }
+  return issues;
+}
@@ -0,0 +1,59 @@
+// Claude through the Anthropic API
+
+import Anthropic from '@anthropic-ai/sdk';
+
+const header = (headers, name) => (typeof headers?.get === 'function' ? headers.get(name) : headers?.[name]) ?? null;
+
+const numberHeader = (headers, name) => {
+  const value = header(headers, name);
+  return value === null ? null : Number(value);
+};
+
+// What the rate limit headers say is left, and when it resets (ms timestamp)
+function readRateLimit(headers) {
+  const resets = ['anthropic-ratelimit-requests-reset', 'anthropic-ratelimit-tokens-reset']
+    .map(name => Date.parse(header(headers, name)))
+    .filter(time => !Number.isNaN(time));
+  return {
+    requestsRemaining: numberHeader(headers, 'anthropic-ratelimit-requests-remaining'),
+    tokensRemaining: numberHeader(headers, 'anthropic-ratelimit-tokens-remaining'),
+    resetAt: resets.length ? Math.max(...resets) : null
+  };
+}
+
+export function createAnthropicProvider() {
+  const anthropic = new Anthropic({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    // Retries are the scheduler's job
+    maxRetries: 0
+  });
+
+  return {
+    name: 'anthropic',
+    defaultModel: 'claude-sonnet-4-20250514',
+    async createMessage({ model, maxTokens, tools, toolChoice, messages }) {
+      let response, raw;
+      try {
+        ({ data: response, response: raw } = await anthropic.messages.create({
+          model,
+          max_tokens: maxTokens,
+          tools,
+          tool_choice: toolChoice,
+          messages
+        }).withResponse());
+      } catch (error) {
+        // Timeouts and dropped connections are worth another try
+        if (error instanceof Anthropic.APIConnectionError) error.retryable = true;
+        const retryAfter = numberHeader(error.headers, 'retry-after');
+        if (retryAfter !== null && !Number.isNaN(retryAfter)) error.retryAfterMs = retryAfter * 1000;
+        throw error;
+      }
+      return {
+        content: response.content,
+        stopReason: response.stop_reason,
+        usage: { inputTokens: response.usage?.input_tokens || 0, outputTokens: response.usage?.output_tokens || 0 },
+        rateLimit: readRateLimit(raw.headers)
+      };
+    }
+  };
+}
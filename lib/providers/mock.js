@@ -0,0 +1,39 @@
+// Deterministic stand-in for Claude: answers each step by calling its tool
+// with the step's fixture (fixtures/llm/<step>.json, or MOCK_LLM_FIXTURES/<step>.json).
+// Lets the whole audit run offline without an API key.
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_FIXTURES = join(dirname(fileURLToPath(import.meta.url)), '../../fixtures/llm');
+
+export function createMockProvider() {
+  const dir = process.env.MOCK_LLM_FIXTURES || DEFAULT_FIXTURES;
+  const fixtures = new Map();
+
+  const fixture = (step) => {
+    if (!fixtures.has(step)) {
+      fixtures.set(step, JSON.parse(readFileSync(join(dir, `${step}.json`), 'utf8')));
+    }
+    return fixtures.get(step);
+  };
+
+  return {
+    name: 'mock',
+    defaultModel: 'mock',
+    async createMessage({ step, tools, messages }) {
+      const input = fixture(step);
+      // A rough, stable token count so usage reporting has something to show
+      const inputTokens = Math.ceil(JSON.stringify(messages).length / 4);
+      const outputTokens = Math.ceil(JSON.stringify(input).length / 4);
+      return {
+        content: tools?.length
+          ? [{ type: 'tool_use', id: `mock_${step}_${messages.length}`, name: tools[0].name, input }]
+          : [{ type: 'text', text: JSON.stringify(input) }],
+        stopReason: tools?.length ? 'tool_use' : 'end_turn',
+        usage: { inputTokens, outputTokens }
+      };
+    }
+  };
+}
@@ -0,0 +1,258 @@
+// Print-styled HTML version of a completed audit, rendered to PDF by
+// renderPdf in screenshots.js. Mirrors the sections of the web report.
+
+import { scoreBreakdownLine, mobileNotes, captureNote, searchNotes, keywordRank, seoRows } from './exports.js';
+import { sectionOrder } from './sections.js';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const list = (items, marker) =>
+  (items || []).map(item => `<li><span class="marker">${marker}</span>${escapeHtml(item)}</li>`).join('') || '<li>—</li>';
+
+function scoreClass(score) {
+  if (score <= 40) return 'score-low';
+  if (score <= 70) return 'score-mid';
+  return 'score-high';
+}
+
+const STYLES = `
+  @page { size: A4; margin: 18mm 16mm 20mm; }
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  body { font-family: 'Crimson Pro', Georgia, serif; color: #2a2a2a; font-size: 11pt; line-height: 1.5; -webkit-print-color-adjust: exact; }
+  .mono, .label, th, .tag { font-family: 'Space Mono', monospace; }
+  .label { font-size: 7.5pt; text-transform: uppercase; letter-spacing: 0.1em; color: #888; margin-bottom: 6px; }
+  .page { page-break-after: always; }
+  .page:last-child { page-break-after: auto; }
+  .cover { border-bottom: 2px solid #1a1a1a; padding-bottom: 16px; margin-bottom: 28px; }
+  .cover h1 { font-size: 28pt; font-weight: 600; letter-spacing: -0.02em; color: #1a1a1a; }
+  .cover .meta { font-family: 'Space Mono', monospace; font-size: 8pt; text-transform: uppercase; letter-spacing: 0.1em; color: #666; }
+  .score-card { border: 2px solid #1a1a1a; padding: 24px; text-align: center; margin-bottom: 24px; position: relative; }
+  .score-card::before { content: ''; position: absolute; inset: -5px; border: 2px solid #ff4444; z-index: -1; }
+  .score-number { font-size: 54pt; font-weight: 600; line-height: 1; }
+  .score-low { color: #ff4444; } .score-mid { color: #f59e0b; } .score-high { color: #22c55e; }
+  .verdict { font-style: italic; font-size: 13pt; margin-top: 10px; }
+  h2 { font-size: 16pt; border-bottom: 2px solid #e0e0e0; padding-bottom: 6px; margin: 24px 0 12px; }
+  table { width: 100%; border-collapse: collapse; font-size: 9.5pt; }
+  th { text-align: left; font-size: 7.5pt; text-transform: uppercase; letter-spacing: 0.05em; border-bottom: 2px solid #1a1a1a; padding: 8px 6px; background: #f4f4f4; }
+  th.you, td.you { background: #fff3cd; }
+  td { border-bottom: 1px solid #e0e0e0; padding: 8px 6px; vertical-align: top; }
+  td.category { font-family: 'Space Mono', monospace; font-size: 7.5pt; text-transform: uppercase; color: #666; width: 90px; }
+  tr { page-break-inside: avoid; }
+  .impression { margin-bottom: 8px; padding-left: 10px; border-left: 3px solid #e0e0e0; }
+  .impression.you { border-left-color: #ff4444; }
+  .tag { display: inline-block; font-size: 7pt; text-transform: uppercase; padding: 2px 6px; margin-right: 8px; background: #ffe0e0; }
+  .tag.visual { background: #e0e0ff; } .tag.voice { background: #e0ffe0; }
+  .overlap { padding: 6px 0; border-bottom: 1px solid #e0e0e0; page-break-inside: avoid; }
+  .overlap .who { color: #888; font-size: 9pt; float: right; }
+  .standout { display: inline-block; background: #1a1a1a; color: white; font-family: 'Space Mono', monospace; font-size: 7.5pt; text-transform: uppercase; padding: 5px 10px; margin: 0 6px 6px 0; }
+  .takeaways { background: #1a1a1a; color: white; padding: 20px; display: grid; grid-template-columns: 1fr 1fr; gap: 18px; page-break-inside: avoid; }
+  .takeaways .label { color: rgba(255,255,255,0.6); }
+  .takeaways ul { list-style: none; }
+  .takeaways li { margin-bottom: 6px; }
+  .marker { margin-right: 6px; }
+  .brand-shots { page-break-inside: avoid; margin-bottom: 18px; }
+  .brand-shots .name { font-family: 'Space Mono', monospace; font-weight: 700; font-size: 9pt; text-transform: uppercase; letter-spacing: 0.1em; margin-bottom: 6px; }
+  .shots { display: grid; grid-template-columns: 3fr 1fr; gap: 10px; }
+  .shots.with-google { grid-template-columns: 3fr 1fr 3fr; }
+  .strip { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 6px; }
+  .strip-section { width: 30mm; font-size: 8pt; }
+  .strip-section img { width: 100%; border: 1px solid #e0e0e0; }
+  .mobile-notes { list-style: none; font-size: 9pt; margin-top: 6px; }
+  .mobile-notes li { padding-left: 10px; border-left: 2px solid #e0e0e0; margin-bottom: 3px; }
+  .shots img { width: 100%; border: 1px solid #e0e0e0; }
+  .missing { color: #999; font-size: 9pt; }
+  .swatch { display: inline-block; width: 12px; height: 12px; border: 1px solid #e0e0e0; margin-right: 2px; }
+`;
+
+// Palette chips ahead of the Visual Style text
+function renderSwatches(identity) {
+  if (!identity?.palette.length) return '';
+  return `<div>${identity.palette.map(s => `<span class="swatch" style="background: ${s.hex};"></span>`).join('')}</div>`;
+}
+
+function renderChart(chart, identity = {}) {
+  const header = chart.columns.map((col, i) =>
+    `<th class="${i === 1 ? 'you' : ''}">${escapeHtml(col)}</th>`
+  ).join('');
+  const rows = chart.rows.map(row => `
+    <tr>
+      <td class="category">${escapeHtml(row.category)}</td>
+      ${row.values.map((val, i) => `<td class="${i === 0 ? 'you' : ''}">${row.category === 'Visual Style' ? renderSwatches(identity[chart.columns[i + 1]]) : ''}${escapeHtml(val || '—')}</td>`).join('')}
+    </tr>
+  `).join('');
+  return `<table><thead><tr>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+// Desktop and mobile screenshots per brand (plus Google, for audits from
+// before parsed search results), with the mobile findings under them
+function renderScreenshots(result) {
+  return Object.keys(result.screenshots || {}).map(name => {
+    const notes = mobileNotes(result, name);
+    const shot = (image, label, capture) => `
+      <div>
+        <div class="label">${label}</div>
+        ${image ? `<img src="data:image/jpeg;base64,${image}" alt="${escapeHtml(name)} ${label}">` : `<div class="missing">${escapeHtml(captureNote(capture))}</div>`}
+      </div>`;
+    return `
+      <div class="brand-shots">
+        <div class="name">${escapeHtml(name)}</div>
+        <div class="shots ${result.googleScreenshots ? 'with-google' : ''}">
+          ${shot(result.screenshots[name]?.image, 'Desktop', result.captures?.[name]?.desktop)}
+          ${shot(result.screenshots[name]?.mobileImage, 'Mobile', result.captures?.[name]?.mobile)}
+          ${result.googleScreenshots ? shot(result.googleScreenshots[name], 'Google') : ''}
+        </div>
+        ${notes?.length ? `<ul class="mobile-notes">${notes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}</ul>` : ''}
+      </div>`;
+  }).join('');
+}
+
+// What searching each brand's name shows, then every brand's rank per category keyword
+function renderSearch(result) {
+  const serp = result.serp;
+  const names = Object.keys(serp.brands);
+  const brands = names.map(name => {
+    const notes = searchNotes(result, name);
+    return `
+      <div class="brand-shots">
+        <div class="name">${escapeHtml(name)} <span class="mono" style="font-size: 8pt;">"${escapeHtml(serp.brands[name]?.query || name)}"</span></div>
+        ${notes ? `<ul class="mobile-notes">${notes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}</ul>` : '<div class="missing">Search failed</div>'}
+      </div>`;
+  }).join('');
+  if (!serp.keywords.length) return brands;
+  const rows = serp.keywords.map(k => `
+    <tr>
+      <td class="category">${escapeHtml(k.query)}</td>
+      ${names.map((name, i) => `<td class="${i === 0 ? 'you' : ''}">${escapeHtml(k.rankings ? keywordRank(k, name) : 'search failed')}</td>`).join('')}
+      <td>${escapeHtml(k.advertisers.join(', ') || '—')}</td>
+    </tr>`).join('');
+  return `${brands}
+    <div class="label" style="margin-top: 16px;">Category rankings</div>
+    <table><thead><tr><th>Keyword</th>${names.map(name => `<th>${escapeHtml(name)}</th>`).join('')}<th>Advertisers</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+// Metadata checks side by side: one row per check, one column per brand
+function renderSeo(seo) {
+  const names = Object.keys(seo);
+  const rows = seoRows(seo).map(([label, ...cells]) => `
+    <tr>
+      <td class="category">${escapeHtml(label)}</td>
+      ${cells.map((cell, i) => `<td class="${i === 0 ? 'you' : ''}">${escapeHtml(cell)}</td>`).join('')}
+    </tr>`).join('');
+  return `<table><thead><tr><th></th>${names.map((name, i) => `<th class="${i === 0 ? 'you' : ''}">${escapeHtml(name)}</th>`).join('')}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+// Each brand's homepage sections in page order, with their imagery
+function renderSections(result) {
+  return Object.entries(result.sections).map(([name, sections]) => {
+    const images = result.screenshots?.[name]?.sectionImages || [];
+    return `
+      <div class="brand-shots">
+        <div class="name">${escapeHtml(name)}</div>
+        ${sections ? `
+          <div class="mono" style="font-size: 8pt;">${escapeHtml(sectionOrder(sections))}</div>
+          <div class="strip">
+            ${sections.map((section, i) => `
+              <div class="strip-section">
+                <div class="label">${escapeHtml(section.kind.replace('-', ' '))}</div>
+                ${images[i] ? `<img src="data:image/jpeg;base64,${images[i]}" alt="${escapeHtml(name)} ${escapeHtml(section.kind)}">` : ''}
+                ${section.imagery ? `<div>${escapeHtml(section.imagery)}</div>` : ''}
+              </div>`).join('')}
+          </div>` : '<div class="missing">Could not capture</div>'}
+      </div>`;
+  }).join('');
+}
+
+// Full HTML document for an audit record
+export function renderReportHtml(record) {
+  const result = record.result;
+  const { companyName, competitors } = record.input;
+  const date = new Date(record.completedAt || record.createdAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  const t = result.takeaways || {};
+
+  const impressions = Object.entries(result.firstImpressions || {}).map(([name, imp], i) => `
+    <div class="impression ${i === 0 ? 'you' : ''}">
+      <span class="label">${escapeHtml(name)}:</span> ${escapeHtml(imp.firstImpression || 'No data')}
+    </div>
+  `).join('');
+
+  const overlaps = (result.overlaps || []).map(o => `
+    <div class="overlap">
+      <span class="tag ${escapeHtml(o.category)}">${escapeHtml(o.category)}</span>${escapeHtml(o.pattern || o.observation)}
+      <span class="who">${escapeHtml((o.who || o.brands || []).join(', '))}</span>
+    </div>
+  `).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Competitive Brand Audit: ${escapeHtml(companyName)}</title>
+<link href="https://fonts.googleapis.com/css2?family=Crimson+Pro:wght@400;600&family=Space+Mono:wght@400;700&display=swap" rel="stylesheet">
+<style>${STYLES}</style>
+</head>
+<body>
+  <section class="page">
+    <div class="cover">
+      <h1>Competitive Brand Audit</h1>
+      <div class="meta">${escapeHtml(companyName)} vs ${escapeHtml(competitors.map(c => c.name).join(', '))} · ${escapeHtml(date)}</div>
+    </div>
+    <div class="score-card">
+      <div class="score-number ${scoreClass(result.score)}">${escapeHtml(result.score)}</div>
+      <div class="label" style="margin-top: 8px;">Differentiation Score${escapeHtml(scoreBreakdownLine(result.scoreBreakdown))}</div>
+      <p class="verdict">${escapeHtml(result.verdict)}</p>
+    </div>
+    <div class="label">First Impressions</div>
+    ${impressions}
+    <h2>Side by Side</h2>
+    ${renderChart(result.chart, result.identity)}
+  </section>
+
+  <section class="page">
+    <h2>The Verdict</h2>
+    ${(result.standouts || []).length > 0 ? `
+      <div class="label">What sets you apart</div>
+      <div style="margin-bottom: 16px;">${result.standouts.map(s => `<span class="standout">${escapeHtml(s)}</span>`).join('')}</div>
+    ` : ''}
+    ${overlaps ? `<div class="label">Where you blend in</div>${overlaps}` : '<p>No significant patterns found.</p>'}
+    <h2>What This Means For You</h2>
+    <div class="takeaways">
+      <div><div class="label">Keep</div><ul>${list(t.keep, '✓')}</ul></div>
+      <div><div class="label">Fix</div><ul>${list(t.fix, '✗')}</ul></div>
+      <div><div class="label">Explore</div><ul>${list(t.explore, '→')}</ul></div>
+      <div><div class="label">Watch</div><ul>${list(t.watch, '⚠')}</ul></div>
+    </div>
+  </section>
+
+  <section class="page">
+    <h2>Screenshots</h2>
+    ${renderScreenshots(result)}
+  </section>
+  ${result.seo ? `
+  <section class="page">
+    <h2>Metadata Health</h2>
+    ${renderSeo(result.seo)}
+  </section>` : ''}
+  ${result.serp ? `
+  <section class="page">
+    <h2>Search Results</h2>
+    ${renderSearch(result)}
+  </section>` : ''}
+  ${result.sections ? `
+  <section class="page">
+    <h2>Page Structure</h2>
+    ${renderSections(result)}
+  </section>` : ''}
+</body>
+</html>`;
+}
+
+// Header/footer templates Chromium stamps on every PDF page
+export const PDF_FOOTER = `
+  <div style="width: 100%; font-family: monospace; font-size: 7pt; color: #888; padding: 0 16mm; display: flex; justify-content: space-between;">
+    <span>Competitive Brand Audit · Off-Menu</span>
+    <span><span class="pageNumber"></span> / <span class="totalPages"></span></span>
+  </div>`;
@@ -0,0 +1,83 @@
+// Request scheduler for LLM calls: caps how many run at once, pauses everyone
+// when the provider says the rate limit is used up, and retries 429/529 and
+// server errors with exponential backoff and jitter.
+//
+// LLM_CONCURRENCY (default 3) and LLM_MAX_RETRIES (default 4) tune it.
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rate limited (429), overloaded (529), server errors, and whatever the
+// provider flagged as retryable (dropped connections)
+export function isRetryable(error) {
+  const status = error?.status;
+  return status === 408 || status === 429 || status >= 500 || error?.retryable === true;
+}
+
+// Exponential backoff with jitter: somewhere between half and all of 1s, 2s, 4s... (capped)
+function backoff(attempt) {
+  const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+export function createScheduler({ concurrency = 3, maxRetries = 4 } = {}) {
+  let active = 0;
+  const waiting = [];
+  // Set from rate limit headers and 429s; no call starts before this time
+  let pausedUntil = 0;
+
+  const acquire = () => {
+    if (active < concurrency) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => waiting.push(resolve));
+  };
+
+  // Hand the slot straight to the next waiting call, if any
+  const release = () => {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  };
+
+  const pauseUntil = (time) => {
+    pausedUntil = Math.max(pausedUntil, time);
+  };
+
+  // Run task() (which resolves to a provider response) once a slot and the rate
+  // limit allow. Resolves to { result, latencyMs, retries }.
+  async function schedule(task) {
+    for (let attempt = 0; ; attempt++) {
+      let delay;
+      await acquire();
+      try {
+        while (pausedUntil > Date.now()) {
+          await sleep(pausedUntil - Date.now());
+        }
+
+        const started = Date.now();
+        const result = await task();
+        const limits = result.rateLimit;
+        if (limits?.resetAt && (limits.requestsRemaining === 0 || limits.tokensRemaining === 0)) {
+          pauseUntil(limits.resetAt);
+        }
+        return { result, latencyMs: Date.now() - started, retries: attempt };
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= maxRetries) throw error;
+        delay = error.retryAfterMs ?? backoff(attempt);
+        console.error(`LLM call failed (${error.status || error.name}), retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${maxRetries})`);
+        // A rate limit applies to every call, not just this one
+        if (error.status === 429) pauseUntil(Date.now() + delay);
+      } finally {
+        release();
+      }
+      // Wait without holding a slot
+      await sleep(delay);
+    }
+  }
+
+  return { schedule };
+}
@@ -0,0 +1,107 @@
+// The differentiation score, broken down. Claude's overall judgement is
+// blended with computed positioning, voice and visual sub-scores so the
+// headline number is reproducible and each part can be explained.
+
+import { similarityToFirst, keyPhrases, jaccard, dropSubphrases } from './similarity.js';
+import { clicheDensity } from './cliches.js';
+
+// Share of the final score that comes from Claude's judgement
+const LLM_WEIGHT = 0.5;
+const MAX_SHARED_PHRASES = 8;
+
+const clamp = (n) => Math.max(0, Math.min(100, Math.round(n)));
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const positioningCopy = (s) => [s.h1, s.subheadline, s.metaDescription].filter(Boolean).join('. ');
+const bodyCopy = (s) => [s.text, ...(s.pages || []).map(p => p.text)].filter(Boolean).join(' ');
+
+// The most similar competitor to the company for a list of similarities (0-1, null = unknown)
+function closest(competitors, similarities) {
+  let best = null;
+  similarities.forEach((similarity, i) => {
+    if (similarity !== null && (best === null || similarity > best.similarity)) {
+      best = { brand: competitors[i].name, similarity: round2(similarity) };
+    }
+  });
+  return best;
+}
+
+// Phrases from the company's copy that competitors use too, most widely shared first
+function sharedPhrases(company, competitors) {
+  const competitorPhrases = competitors.map(c => ({
+    name: c.name,
+    phrases: keyPhrases(`${positioningCopy(c.structured)} ${bodyCopy(c.structured)}`)
+  }));
+  return dropSubphrases([...keyPhrases(`${positioningCopy(company.structured)} ${bodyCopy(company.structured)}`)]
+    .map(phrase => ({ phrase, who: competitorPhrases.filter(c => c.phrases.has(phrase)).map(c => c.name) }))
+    .filter(p => p.who.length > 0)
+    .sort((a, b) => b.who.length - a.who.length || b.phrase.split(' ').length - a.phrase.split(' ').length))
+    .slice(0, MAX_SHARED_PHRASES);
+}
+
+// Similarity of headline, subheadline and meta description; null without copy to compare
+function positioningScore(company, competitors) {
+  const similarities = similarityToFirst([company, ...competitors].map(b => positioningCopy(b.structured)));
+  const nearest = closest(competitors, similarities);
+  if (!nearest) return null;
+  return {
+    score: clamp(100 * (1 - nearest.similarity)),
+    closest: nearest,
+    sharedPhrases: sharedPhrases(company, competitors)
+  };
+}
+
+// Copy similarity and shared voice adjectives, minus a penalty for cliché density
+function voiceScore(company, competitors) {
+  const textSimilarity = closest(competitors, similarityToFirst([company, ...competitors].map(b => bodyCopy(b.structured))));
+  const adjectiveOverlap = closest(competitors, competitors.map(c => jaccard(company.inferred.voiceAdjectives, c.inferred.voiceAdjectives)));
+  if (!textSimilarity && !adjectiveOverlap) return null;
+  const buzzwords = clicheDensity(`${positioningCopy(company.structured)} ${bodyCopy(company.structured)}`);
+  const buzzwordPenalty = Math.min(30, buzzwords.perHundredWords * 10);
+
+  return {
+    score: clamp(100 * (1 - (0.6 * (textSimilarity?.similarity ?? 0) + 0.4 * (adjectiveOverlap?.similarity ?? 0))) - buzzwordPenalty),
+    closest: textSimilarity,
+    adjectiveOverlap,
+    buzzwords
+  };
+}
+
+// Palette similarity from the palette matrix plus shared font families;
+// null when the company's page couldn't be captured
+function visualScore(company, competitors, palettes) {
+  if (!company.identity) return null;
+  const row = palettes.matrix[palettes.brands.indexOf(company.name)];
+  const paletteSimilarity = closest(competitors, competitors.map(c => {
+    const similarity = row[palettes.brands.indexOf(c.name)];
+    return similarity === null ? null : similarity / 100;
+  }));
+  const families = (identity) => (identity?.typography || []).map(f => f.family);
+  const typographyOverlap = closest(competitors, competitors.map(c =>
+    c.identity ? jaccard(families(company.identity), families(c.identity)) : null));
+
+  return {
+    score: clamp(100 * (1 - (0.7 * (paletteSimilarity?.similarity ?? 0) + 0.3 * (typographyOverlap?.similarity ?? 0)))),
+    closest: paletteSimilarity,
+    typographyOverlap
+  };
+}
+
+// brands: [{ name, structured, inferred, identity }], the company first.
+// Returns { score, breakdown } where score is the blended headline number.
+export function scoreDifferentiation(brands, palettes, llmScore) {
+  const [company, ...competitors] = brands;
+  const positioning = positioningScore(company, competitors);
+  const voice = voiceScore(company, competitors);
+  const visual = visualScore(company, competitors, palettes);
+
+  const parts = [positioning, voice, visual].filter(Boolean);
+  const computed = parts.length ? clamp(parts.reduce((sum, part) => sum + part.score, 0) / parts.length) : null;
+  const llm = typeof llmScore === 'number' ? llmScore : null;
+  const score = llm === null || computed === null ? llm ?? computed : clamp(LLM_WEIGHT * llm + (1 - LLM_WEIGHT) * computed);
+
+  return {
+    score,
+    breakdown: { llm, computed, llmWeight: LLM_WEIGHT, positioning, voice, visual }
+  };
+}
@@ -0,0 +1,260 @@
+// Puppeteer screenshots for the visual and first-impression steps, and
+// PDF rendering of finished reports. Pages come from the shared browser in
+// browser.js.
+
+import { normalizeUrl } from './fetch.js';
+import { withPage } from './browser.js';
+import { clearBlockers } from './blockers.js';
+import { classifySections } from './sections.js';
+
+// Cap on the rendered HTML we keep; a few SPAs serialize to many megabytes
+const MAX_RENDERED_HTML = 1000000;
+
+// Full-page captures: how far down the page we go, the tallest slice kept
+// per section, and the scale sections are shot at to keep images small
+const MAX_PAGE_HEIGHT = 15000;
+const MAX_SECTION_HEIGHT = 1600;
+const SECTION_SCALE = 0.5;
+
+// Viewports pages are captured at. Mobile emulates a mid-size iPhone (touch,
+// mobile layout, Safari user agent) so sites serve their phone experience.
+const DEVICES = {
+  desktop: { viewport: { width: 1440, height: 900 } },
+  mobile: {
+    viewport: { width: 390, height: 844, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+  }
+};
+
+// Second try for a page behind a bot wall: a regular Chrome user agent for
+// the device, a browser-like Accept-Language and navigator.webdriver hidden
+const FALLBACK_PROFILE = {
+  userAgents: {
+    desktop: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36',
+    mobile: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Mobile Safari/537.36'
+  },
+  headers: { 'Accept-Language': 'en-US,en;q=0.9' }
+};
+
+async function applyFallbackProfile(page, device) {
+  await page.setUserAgent(FALLBACK_PROFILE.userAgents[device]);
+  await page.setExtraHTTPHeaders(FALLBACK_PROFILE.headers);
+  await page.evaluateOnNewDocument(() => {
+    Object.defineProperty(navigator, 'webdriver', { get: () => false });
+  });
+}
+
+// Computed styles of the elements that carry a brand's look, read in the page
+function readComputedStyles() {
+  const pick = (el) => {
+    if (!el) return null;
+    const style = getComputedStyle(el);
+    return {
+      color: style.color,
+      backgroundColor: style.backgroundColor,
+      fontFamily: style.fontFamily,
+      fontWeight: style.fontWeight,
+      fontSize: style.fontSize
+    };
+  };
+  return {
+    html: pick(document.documentElement),
+    body: pick(document.body),
+    h1: pick(document.querySelector('h1')),
+    h2: pick(document.querySelector('h2')),
+    button: pick(document.querySelector('button, a[class*="btn" i], a[class*="button" i], [role="button"]')),
+    link: pick(document.querySelector('main a, a')),
+    header: pick(document.querySelector('header, nav')),
+    // Web fonts that actually loaded, so font stacks resolve to what rendered
+    loadedFonts: [...new Set([...document.fonts]
+      .filter(font => font.status === 'loaded')
+      .map(font => font.family.replace(/^['"]|['"]$/g, '')))]
+  };
+}
+
+// What makes a page work on a phone, read in the page at the mobile viewport:
+// the viewport meta tag, sideways overflow, body text size and the tap
+// targets above the fold
+function readMobileLayout() {
+  const fold = window.innerHeight;
+  const aboveFold = (el) => {
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && rect.top < fold && rect.bottom > 0;
+  };
+  const targets = [...document.querySelectorAll('a[href], button, input, select, textarea, [role="button"]')].filter(aboveFold);
+  return {
+    viewportMeta: document.querySelector('meta[name="viewport"]')?.content || null,
+    viewportWidth: window.innerWidth,
+    pageWidth: document.documentElement.scrollWidth,
+    bodyFontSize: parseFloat(getComputedStyle(document.body).fontSize),
+    tapTargets: targets.length,
+    // WCAG 2.5.8's minimum target size is 24×24 CSS pixels
+    smallTapTargets: targets.filter(el => {
+      const rect = el.getBoundingClientRect();
+      return rect.width < 24 || rect.height < 24;
+    }).length,
+    buttonAboveFold: targets.some(el => el.matches('button, [role="button"], a[class*="btn" i], a[class*="button" i]'))
+  };
+}
+
+// One attempt at loading and capturing a page (see capturePage)
+async function loadPage(page, url, device, { fallback, fullPage }) {
+  const { viewport, userAgent } = DEVICES[device];
+  if (fallback) await applyFallbackProfile(page, device);
+  else if (userAgent) await page.setUserAgent(userAgent);
+  await page.setViewport(viewport);
+  const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: 15000 });
+  // Wait a bit for any animations/lazy loading
+  await new Promise(r => setTimeout(r, 1000));
+
+  const status = await clearBlockers(page, response);
+  if (status.status !== 'captured') return status;
+
+  const screenshot = await page.screenshot({ encoding: 'base64', type: 'jpeg', quality: 80 });
+  if (device === 'mobile') {
+    return { ...status, screenshot, layout: await page.evaluate(readMobileLayout) };
+  }
+  const html = (await page.content()).slice(0, MAX_RENDERED_HTML);
+  const styles = await page.evaluate(readComputedStyles);
+  const sections = fullPage ? await captureSections(page) : undefined;
+  return { ...status, screenshot, html, styles, sections };
+}
+
+// Scroll to the bottom a screen at a time so lazy-loaded content renders, then back to the top
+async function scrollThrough(maxHeight) {
+  const height = () => Math.min(document.documentElement.scrollHeight, maxHeight);
+  for (let y = 0; y < height(); y += window.innerHeight) {
+    window.scrollTo(0, y);
+    await new Promise(resolve => setTimeout(resolve, 150));
+  }
+  window.scrollTo(0, 0);
+}
+
+// The page's top-level blocks, with what classifySections needs to label
+// them. Descends through wrappers that take up most of the page until the
+// page splits into several blocks.
+function readSectionBlocks(maxHeight) {
+  const pageHeight = Math.min(document.documentElement.scrollHeight, maxHeight);
+  const skip = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'LINK']);
+  const childrenOf = (el) => [...el.children].filter(child => !skip.has(child.tagName) && child.getBoundingClientRect().height > 0);
+
+  let blocks = childrenOf(document.body);
+  for (let depth = 0; depth < 6; depth++) {
+    const next = blocks.flatMap(el => {
+      const children = childrenOf(el);
+      return el.getBoundingClientRect().height > pageHeight * 0.5 && children.length > 0 ? children : [el];
+    });
+    if (next.length === blocks.length) break;
+    blocks = next;
+  }
+
+  return blocks
+    .map(el => {
+      const rect = el.getBoundingClientRect();
+      const text = (el.innerText || '').replace(/\s+/g, ' ').trim();
+      return {
+        tag: el.tagName.toLowerCase(),
+        role: el.getAttribute('role'),
+        hints: `${el.id} ${typeof el.className === 'string' ? el.className : ''} ${el.getAttribute('aria-label') || ''}`.toLowerCase(),
+        top: Math.round(rect.top + window.scrollY),
+        height: Math.round(rect.height),
+        hasH1: !!el.querySelector('h1') || el.tagName === 'H1',
+        headings: el.querySelectorAll('h2, h3, h4').length,
+        images: el.querySelectorAll('img, svg, picture').length,
+        quotes: el.querySelectorAll('blockquote, q, [class*="testimonial" i], [class*="quote" i]').length,
+        prices: (text.match(/[$€£¥]\s?\d/g) || []).length,
+        text: text.slice(0, 300)
+      };
+    })
+    .filter(block => block.height >= 80 && block.top < pageHeight)
+    .sort((a, b) => a.top - b.top);
+}
+
+// The page split into labelled sections, each with a scaled-down screenshot
+async function captureSections(page) {
+  await page.evaluate(scrollThrough, MAX_PAGE_HEIGHT);
+  await new Promise(r => setTimeout(r, 500));
+  const { width } = page.viewport();
+  const sections = classifySections(await page.evaluate(readSectionBlocks, MAX_PAGE_HEIGHT));
+  const captured = [];
+  for (const section of sections) {
+    const image = await page.screenshot({
+      encoding: 'base64',
+      type: 'jpeg',
+      quality: 70,
+      captureBeyondViewport: true,
+      clip: { x: 0, y: section.top, width, height: Math.min(section.height, MAX_SECTION_HEIGHT), scale: SECTION_SCALE }
+    });
+    captured.push({ ...section, image });
+  }
+  return captured;
+}
+
+// Load a website once and capture what we need from the rendered page: the
+// above-the-fold screenshot, the DOM after JavaScript ran (for sites whose
+// static HTML is an empty SPA shell) and computed styles.
+// With device 'mobile' the page is loaded on an emulated phone instead and
+// captures the screenshot and layout (see readMobileLayout). fullPage (desktop
+// only) also captures the whole page as labelled sections, top to bottom:
+// sections: [{ kind, top, height, image }].
+// Consent banners are dismissed first, and a page behind a bot wall is
+// retried once with a fallback profile. Resolves to { status, detail,
+// httpStatus, mitigations, ...capture }; status is 'captured', or 'blocked' /
+// 'error' with no screenshot, so challenge and error pages never reach
+// Claude. Null when Puppeteer isn't available.
+export async function capturePage(url, { device = 'desktop', fullPage = false } = {}) {
+  url = normalizeUrl(url);
+  const mitigations = [];
+  let result;
+  for (const fallback of [false, true]) {
+    let loading = false;
+    try {
+      result = await withPage(page => {
+        loading = true;
+        return loadPage(page, url, device, { fallback, fullPage });
+      });
+    } catch (error) {
+      console.error(`Error screenshotting ${url} (${device}):`, error.message);
+      // A browser that wouldn't launch says nothing about the site
+      if (!loading) return null;
+      result = { status: 'error', detail: error.message, httpStatus: null, mitigations: [] };
+    }
+    if (!result) return null;
+    mitigations.push(...result.mitigations);
+    if (result.status !== 'blocked' || fallback) break;
+    console.error(`${url} (${device}) is behind bot protection, retrying with the fallback profile`);
+    mitigations.push('retried with fallback profile');
+  }
+  if (result.status !== 'captured') {
+    console.error(`Could not capture ${url} (${device}): ${result.detail}`);
+  }
+  return { ...result, mitigations };
+}
+
+// Render an HTML document to a PDF buffer, or null when there's no browser
+// (Puppeteer missing or Chrome won't launch). Render failures throw.
+export async function renderPdf(html, { footerTemplate } = {}) {
+  let rendering = false;
+  try {
+    return await withPage(async (page) => {
+      rendering = true;
+      // Fonts come from Google Fonts, so wait for the network to settle
+      await page.setContent(html, { waitUntil: 'networkidle0', timeout: 30000 });
+      const pdf = await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        preferCSSPageSize: true,
+        displayHeaderFooter: !!footerTemplate,
+        headerTemplate: '<span></span>',
+        footerTemplate: footerTemplate || '<span></span>'
+      });
+      return Buffer.from(pdf);
+    });
+  } catch (error) {
+    // Only a browser that wouldn't launch means PDFs are unavailable here;
+    // a failed render is the caller's error to report
+    if (rendering) throw error;
+    console.error('Browser unavailable for PDF:', error.message);
+    return null;
+  }
+}
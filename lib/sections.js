@@ -0,0 +1,66 @@
+// Page structure for full-page captures: the top-level blocks read in the
+// page (readSectionBlocks in screenshots.js) labelled as hero, social proof,
+// features, pricing, footer or other, so section order can be compared
+// across brands.
+
+// More sections than this and the rest are dropped (the footer is kept)
+export const MAX_SECTIONS = 10;
+
+const HINTS = {
+  header: /\b(site-?header|navbar|nav|topbar|masthead)\b/,
+  footer: /footer/,
+  pricing: /pricing|\bplans?\b/,
+  socialProof: /testimonial|review|customer|logos?\b|clients?\b|trusted|case-stud|social-proof|press/,
+  features: /feature|benefit|how-it-works|capabilit|solutions?\b/
+};
+
+const PRICING_TEXT = /per month|\/mo\b|\/month|per user|billed (annually|monthly)|free trial/i;
+const SOCIAL_PROOF_TEXT = /trusted by|loved by|used by|customers|testimonials|what (our|people) .{0,20}say|reviews|rated \d/i;
+
+function kindOf(block) {
+  if (block.tag === 'footer' || block.role === 'contentinfo' || HINTS.footer.test(block.hints)) return 'footer';
+  if (HINTS.pricing.test(block.hints) || block.prices >= 2 || PRICING_TEXT.test(block.text)) return 'pricing';
+  if (HINTS.socialProof.test(block.hints) || block.quotes > 0 || SOCIAL_PROOF_TEXT.test(block.text)) return 'social-proof';
+  // A row of logos with hardly any copy
+  if (block.images >= 5 && block.text.length < 150) return 'social-proof';
+  if (HINTS.features.test(block.hints) || block.headings >= 3) return 'features';
+  return 'other';
+}
+
+const isHeader = (block) =>
+  !block.hasH1 && (block.tag === 'header' || block.tag === 'nav' || block.role === 'banner' || block.role === 'navigation' || HINTS.header.test(block.hints));
+
+// Label blocks (sorted top to bottom) and merge neighbours of the same kind.
+// The site header folds into the hero, which is the first block with the H1
+// (or the first block, when there's no H1 near the top). Returns
+// [{ kind, top, height }].
+export function classifySections(blocks) {
+  const heroIndex = Math.max(blocks.findIndex(b => b.hasH1), 0);
+  const firstContent = blocks.findIndex(b => !isHeader(b));
+  const heroAt = heroIndex <= firstContent + 1 ? heroIndex : Math.max(firstContent, 0);
+
+  const labelled = blocks.map((block, i) => ({
+    kind: i <= heroAt ? 'hero' : kindOf(block),
+    top: block.top,
+    height: block.height
+  }));
+
+  const merged = [];
+  for (const section of labelled) {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.kind === section.kind) {
+      previous.height = section.top + section.height - previous.top;
+    } else {
+      merged.push({ ...section });
+    }
+  }
+
+  if (merged.length <= MAX_SECTIONS) return merged;
+  const footer = merged[merged.length - 1].kind === 'footer' ? merged[merged.length - 1] : null;
+  return footer ? [...merged.slice(0, MAX_SECTIONS - 1), footer] : merged.slice(0, MAX_SECTIONS);
+}
+
+// "hero → social proof → features → footer"
+export function sectionOrder(sections) {
+  return (sections || []).map(s => s.kind.replace('-', ' ')).join(' → ');
+}
@@ -0,0 +1,100 @@
+// Metadata health: deterministic checks of the tags and markup search engines
+// and link previews read (extractMetadata in extract.js), scored so brands
+// can be compared. Each check passes, warns or fails with a plain-language
+// detail; the score is the share of checks passed, warnings counting half.
+
+import { companyKey } from './fetch.js';
+
+// Google cuts titles off at about 600px (roughly 60 characters) and
+// descriptions at about 920px (roughly 160)
+const TITLE_LENGTH = { min: 30, max: 60 };
+const DESCRIPTION_LENGTH = { min: 70, max: 160 };
+
+// More images than this without alt text fails instead of warning
+const MAX_MISSING_ALT = 0.2;
+
+export const CHECKS = [
+  { id: 'title', label: 'Title' },
+  { id: 'description', label: 'Meta description' },
+  { id: 'ogImage', label: 'Open Graph image' },
+  { id: 'favicon', label: 'Favicon' },
+  { id: 'canonical', label: 'Canonical URL' },
+  { id: 'headings', label: 'Heading hierarchy' },
+  { id: 'altText', label: 'Image alt text' },
+  { id: 'structuredData', label: 'Structured data' }
+];
+
+const pass = (detail) => ({ status: 'pass', detail });
+const warn = (detail) => ({ status: 'warn', detail });
+const fail = (detail) => ({ status: 'fail', detail });
+
+function lengthCheck(text, { min, max }, what) {
+  if (!text) return fail(`No ${what}`);
+  if (text.length > max) return warn(`${text.length} characters; Google truncates ${what}s past about ${max}`);
+  if (text.length < min) return warn(`${text.length} characters; uses little of the space Google shows`);
+  return pass(`${text.length} characters`);
+}
+
+function canonicalCheck(canonicals, pageUrl) {
+  if (canonicals.length === 0) return warn('No canonical URL; duplicate URLs (tracking parameters, www) split ranking');
+  if (canonicals.length > 1) return fail(`${canonicals.length} different canonical URLs; search engines may ignore them all`);
+  const canonical = canonicals[0];
+  if (companyKey(canonical) !== companyKey(pageUrl)) return fail(`Points to another site: ${canonical}`);
+  if (new URL(canonical).pathname !== '/') return warn(`Points to ${new URL(canonical).pathname}, not the homepage`);
+  return pass(canonical);
+}
+
+function headingCheck(headings) {
+  const h1s = headings.filter(h => h.level === 1).length;
+  if (h1s === 0) return fail('No H1');
+  const skips = [];
+  headings.forEach((h, i) => {
+    const previous = headings[i - 1]?.level ?? 1;
+    if (h.level > previous + 1) skips.push(`H${previous} → H${h.level}`);
+  });
+  const problems = [
+    h1s > 1 && `${h1s} H1s`,
+    skips.length && `skips levels (${[...new Set(skips)].slice(0, 3).join(', ')})`
+  ].filter(Boolean);
+  if (problems.length) return warn(problems.join('; '));
+  return pass(`One H1, ${headings.length} headings in order`);
+}
+
+function altTextCheck(images, withoutAlt) {
+  if (images === 0) return pass('No images');
+  if (withoutAlt === 0) return pass(`All ${images} images have alt text`);
+  const detail = `${withoutAlt} of ${images} images have no alt text`;
+  return withoutAlt / images > MAX_MISSING_ALT ? fail(detail) : warn(detail);
+}
+
+function structuredDataCheck({ jsonLd, microdata }) {
+  if (jsonLd.length) return pass(`JSON-LD: ${jsonLd.join(', ')}`);
+  if (microdata.length) return pass(`Microdata: ${microdata.join(', ')}`);
+  return warn('None; no rich results or knowledge panel hints');
+}
+
+// Checks for one homepage. hasRootFavicon says whether /favicon.ico exists,
+// which browsers fall back to without an icon link.
+export function seoHealth(metadata, pageUrl, { hasRootFavicon = false } = {}) {
+  const results = {
+    title: lengthCheck(metadata.title, TITLE_LENGTH, 'title'),
+    description: lengthCheck(metadata.description, DESCRIPTION_LENGTH, 'description'),
+    ogImage: metadata.openGraph.image
+      ? pass(metadata.openGraph.image)
+      : fail('No og:image; shared links show no preview image'),
+    favicon: metadata.icons.length
+      ? pass(`${metadata.icons.length} icon link${metadata.icons.length > 1 ? 's' : ''}`)
+      : hasRootFavicon ? warn('Only /favicon.ico; no icon link for high-resolution screens') : fail('No favicon'),
+    canonical: canonicalCheck(metadata.canonicals, pageUrl),
+    headings: headingCheck(metadata.headings),
+    altText: altTextCheck(metadata.images, metadata.imagesWithoutAlt),
+    structuredData: structuredDataCheck(metadata.structuredData)
+  };
+
+  const points = { pass: 1, warn: 0.5, fail: 0 };
+  const checks = CHECKS.map(({ id, label }) => ({ id, label, ...results[id] }));
+  return {
+    score: Math.round(100 * checks.reduce((sum, c) => sum + points[c.status], 0) / checks.length),
+    checks
+  };
+}
@@ -0,0 +1,104 @@
+// Search results for each brand's name and the category, parsed into
+// structure instead of screenshotted. SERP_PROVIDER picks where they come
+// from: 'serpapi' (SerpApi, needs SERPAPI_API_KEY; the default when it's
+// set), 'browser' (google.com in headless Chrome, the default otherwise) or
+// 'fixture' (fixtures/serp/<query>.json, for offline runs).
+//
+// A provider is { name, search(query) } resolving to { results, ads }, or
+// null when it couldn't search:
+// - results: organic results in order, [{ rank, title, url, snippet, sitelinks: [{ title, url }] }]
+// - ads: [{ position, title, url }], top ads first
+
+import { createSerpApiProvider } from './serp/serpapi.js';
+import { createBrowserSerpProvider } from './serp/browser.js';
+import { createFixtureSerpProvider } from './serp/fixture.js';
+import { companyKey } from './fetch.js';
+
+const PROVIDERS = {
+  serpapi: createSerpApiProvider,
+  browser: createBrowserSerpProvider,
+  fixture: createFixtureSerpProvider
+};
+
+// Category keywords searched per audit, at most
+export const MAX_KEYWORDS = 3;
+
+let provider = null;
+
+export function getSerpProvider() {
+  if (!provider) {
+    const name = process.env.SERP_PROVIDER || (process.env.SERPAPI_API_KEY ? 'serpapi' : 'browser');
+    const create = PROVIDERS[name];
+    if (!create) {
+      throw new Error(`Unknown SERP_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    provider = create();
+  }
+  return provider;
+}
+
+// Search, or null when the provider couldn't
+export async function searchQuery(query) {
+  try {
+    return await getSerpProvider().search(query);
+  } catch (error) {
+    console.error(`Error searching "${query}":`, error.message);
+    return null;
+  }
+}
+
+// Whether url is on the brand's site (subdomains count)
+function onDomain(url, domain) {
+  try {
+    const host = new URL(url).host.toLowerCase().replace(/^www\./, '');
+    return host === domain || host.endsWith(`.${domain}`);
+  } catch {
+    return false;
+  }
+}
+
+// Which of brands ([{ name, url }]) show up in a SERP, organically or in ads
+function brandsIn(serp, brands) {
+  const domains = brands.map(b => ({ name: b.name, domain: companyKey(b.url) }));
+  const present = (url) => domains.filter(d => onDomain(url, d.domain)).map(d => d.name);
+  return {
+    organic: [...new Set(serp.results.flatMap(r => present(r.url)))],
+    ads: [...new Set(serp.ads.flatMap(a => present(a.url)))]
+  };
+}
+
+// How a brand looks when someone searches its name: where its own site ranks,
+// the title, snippet and sitelinks shown, who advertises on the query and
+// which other audited brands appear. Null when there was no SERP.
+export function brandSearchResult(brand, query, serp, brands) {
+  if (!serp) return null;
+  const domain = companyKey(brand.url);
+  const own = serp.results.find(r => onDomain(r.url, domain)) || null;
+  const others = brands.filter(b => b.name !== brand.name);
+  const { organic, ads } = brandsIn(serp, others);
+  return {
+    query,
+    rank: own?.rank ?? null,
+    title: own?.title ?? null,
+    snippet: own?.snippet ?? null,
+    sitelinks: own?.sitelinks || [],
+    ownAd: serp.ads.some(a => onDomain(a.url, domain)),
+    ads: serp.ads.map(a => ({ position: a.position, title: a.title, url: a.url })),
+    // Other audited brands ranking for, or bidding on, this brand's name
+    competitorsRanking: organic,
+    competitorAds: ads
+  };
+}
+
+// Where every brand ranks for one category keyword, and who advertises on it
+export function keywordRankings(query, serp, brands) {
+  if (!serp) return { query, rankings: null, advertisers: [] };
+  return {
+    query,
+    rankings: Object.fromEntries(brands.map(b => {
+      const domain = companyKey(b.url);
+      return [b.name, serp.results.find(r => onDomain(r.url, domain))?.rank ?? null];
+    })),
+    advertisers: brandsIn(serp, brands).ads
+  };
+}
@@ -0,0 +1,47 @@
+// Google results read from google.com in headless Chrome. No key needed, but
+// Google often answers automated browsers with a consent page or CAPTCHA;
+// those come back as null rather than as results.
+
+import { withPage } from '../browser.js';
+import { clearBlockers } from '../blockers.js';
+
+// Run in the page: organic results (title links inside #search), their
+// snippets and sitelinks, and the text ads above and below them
+function readResults() {
+  const external = (a) => a?.href && !new URL(a.href).host.endsWith('google.com');
+  const results = [];
+  for (const heading of document.querySelectorAll('#search a h3')) {
+    const link = heading.closest('a');
+    if (!external(link) || results.some(r => r.url === link.href)) continue;
+    const container = link.closest('[data-hveid]') || link.parentElement;
+    const snippet = container.querySelector('[data-sncf], .VwiC3b, [style*="line-clamp"]')?.innerText || '';
+    const sitelinks = [...container.querySelectorAll('a')]
+      .filter(a => a !== link && external(a) && a.innerText.trim() && !a.querySelector('h3'))
+      .map(a => ({ title: a.innerText.trim(), url: a.href }));
+    results.push({ rank: results.length + 1, title: heading.innerText.trim(), url: link.href, snippet: snippet.trim(), sitelinks });
+  }
+  const ads = [...document.querySelectorAll('#tads [data-text-ad], #bottomads [data-text-ad]')].map((ad, i) => {
+    const link = [...ad.querySelectorAll('a')].find(external);
+    return { position: i + 1, title: ad.querySelector('[role="heading"]')?.innerText.trim() || '', url: link?.href || '' };
+  }).filter(ad => ad.url);
+  return { results, ads };
+}
+
+export function createBrowserSerpProvider() {
+  return {
+    name: 'browser',
+    async search(query) {
+      return withPage(async (page) => {
+        await page.setViewport({ width: 1200, height: 800 });
+        const searchUrl = `https://www.google.com/search?hl=en&q=${encodeURIComponent(query)}`;
+        const response = await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: 15000 });
+        const { status, detail } = await clearBlockers(page, response);
+        if (status !== 'captured') {
+          console.error(`Could not read Google results for "${query}": ${detail}`);
+          return null;
+        }
+        return page.evaluate(readResults);
+      });
+    }
+  };
+}
@@ -0,0 +1,28 @@
+// Search results from files, for tests and offline runs: the query
+// "Acme project tools" reads fixtures/serp/acme-project-tools.json (or the
+// same name under SERP_FIXTURES). A query without a fixture has no results.
+
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_FIXTURES = join(dirname(fileURLToPath(import.meta.url)), '../../fixtures/serp');
+
+const slug = (query) => query.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+export function createFixtureSerpProvider() {
+  const dir = process.env.SERP_FIXTURES || DEFAULT_FIXTURES;
+
+  return {
+    name: 'fixture',
+    async search(query) {
+      try {
+        const { results = [], ads = [] } = JSON.parse(await readFile(join(dir, `${slug(query)}.json`), 'utf8'));
+        return { results, ads };
+      } catch (error) {
+        if (error.code === 'ENOENT') return { results: [], ads: [] };
+        throw error;
+      }
+    }
+  };
+}
@@ -0,0 +1,43 @@
+// Google results through SerpApi (serpapi.com). SERPAPI_API_KEY is required;
+// SERP_COUNTRY and SERP_LANGUAGE (default us / en) set where the search is from.
+
+const ENDPOINT = 'https://serpapi.com/search.json';
+
+export function createSerpApiProvider() {
+  const apiKey = process.env.SERPAPI_API_KEY;
+  if (!apiKey) throw new Error('SERP_PROVIDER=serpapi needs SERPAPI_API_KEY');
+
+  return {
+    name: 'serpapi',
+    async search(query) {
+      const params = new URLSearchParams({
+        engine: 'google',
+        q: query,
+        num: '10',
+        gl: process.env.SERP_COUNTRY || 'us',
+        hl: process.env.SERP_LANGUAGE || 'en',
+        api_key: apiKey
+      });
+      const response = await fetch(`${ENDPOINT}?${params}`);
+      if (!response.ok) throw new Error(`SerpApi answered ${response.status}`);
+      const data = await response.json();
+      if (data.error) throw new Error(`SerpApi: ${data.error}`);
+
+      return {
+        results: (data.organic_results || []).map((r, i) => ({
+          rank: r.position ?? i + 1,
+          title: r.title || '',
+          url: r.link,
+          snippet: r.snippet || '',
+          sitelinks: [...(r.sitelinks?.inline || []), ...(r.sitelinks?.expanded || [])]
+            .map(link => ({ title: link.title, url: link.link }))
+        })),
+        ads: (data.ads || []).map((ad, i) => ({
+          position: ad.position ?? i + 1,
+          title: ad.title || '',
+          url: ad.link
+        }))
+      };
+    }
+  };
+}
@@ -0,0 +1,60 @@
+// Read-only share links for completed audits. Each audit has at most one
+// live link, kept on the record as `share`; the token itself is the only
+// secret, so it is long and random. Links can carry an expiry and be revoked,
+// after which a new share mints a fresh token.
+
+import { randomBytes } from 'crypto';
+import { AuditError } from './audit.js';
+import { saveAudit, loadAudit, saveShareToken, loadShareToken, deleteShareToken } from './store.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isActive(share) {
+  if (!share || share.revokedAt) return false;
+  return !share.expiresAt || new Date(share.expiresAt) > new Date();
+}
+
+// Return the audit's live share link, creating one if needed. Passing
+// expiresInDays (a positive number, or null for never) updates the expiry.
+export async function shareAudit(record, { expiresInDays } = {}) {
+  if (record.status !== 'complete') {
+    throw new AuditError('Only completed audits can be shared', 409);
+  }
+  if (expiresInDays !== undefined && expiresInDays !== null && !(Number(expiresInDays) > 0)) {
+    throw new AuditError('expiresInDays must be a positive number', 400);
+  }
+
+  if (!isActive(record.share)) {
+    // An expired link's pointer goes with it
+    if (record.share) await deleteShareToken(record.share.token);
+    const token = randomBytes(24).toString('base64url');
+    await saveShareToken(token, record.id);
+    record.share = { token, createdAt: new Date().toISOString(), expiresAt: null, revokedAt: null };
+  }
+  if (expiresInDays !== undefined) {
+    record.share.expiresAt = expiresInDays === null
+      ? null
+      : new Date(Date.now() + Number(expiresInDays) * DAY_MS).toISOString();
+  }
+
+  await saveAudit(record);
+  return record.share;
+}
+
+export async function revokeShare(record) {
+  if (!isActive(record.share)) return null;
+  record.share.revokedAt = new Date().toISOString();
+  await saveAudit(record);
+  await deleteShareToken(record.share.token);
+  return record.share;
+}
+
+// The audit behind a public token, or null if the link is unknown, revoked or expired
+export async function resolveShare(token) {
+  const pointer = await loadShareToken(token);
+  if (!pointer) return null;
+
+  const record = await loadAudit(pointer.auditId);
+  if (!record || record.share?.token !== token || !isActive(record.share)) return null;
+  return record;
+}
@@ -0,0 +1,95 @@
+// Deterministic similarity between brands' copy, so the differentiation
+// score doesn't rest on one Claude judgement. Same inputs, same numbers.
+
+const STOPWORDS = new Set(`a about above after all also am an and any are as at be because been before being
+below between both but by can could did do does doing down during each few for from further had has have
+having he her here hers him his how i if in into is it its itself just me more most my no nor not now of off
+on once only or other our ours out over own same she should so some such than that the their theirs them then
+there these they this those through to too under until up very was we were what when where which while who
+whom why will with would you your yours us`.split(/\s+/));
+
+export function tokenize(text) {
+  return (text || '').toLowerCase().match(/[a-z0-9][a-z0-9'’-]*/g) || [];
+}
+
+const terms = (text) => tokenize(text).filter(word => word.length > 1 && !STOPWORDS.has(word));
+
+// Runs of 2-3 words that don't start or end on a stopword ("project management
+// software"), never spanning punctuation
+export function keyPhrases(text) {
+  const phrases = new Set();
+  for (const clause of (text || '').split(/[.!?,;:|•·()\n]+|\s[–—-]\s/)) {
+    const words = tokenize(clause);
+    for (let n = 2; n <= 3; n++) {
+      for (let i = 0; i + n <= words.length; i++) {
+        const run = words.slice(i, i + n);
+        if (STOPWORDS.has(run[0]) || STOPWORDS.has(run[n - 1])) continue;
+        phrases.add(run.join(' '));
+      }
+    }
+  }
+  return phrases;
+}
+
+// TF-IDF vectors for a set of documents, with the documents themselves as the corpus
+function tfidfVectors(documents) {
+  const counts = documents.map(doc => {
+    const tf = new Map();
+    for (const term of terms(doc)) tf.set(term, (tf.get(term) || 0) + 1);
+    return tf;
+  });
+
+  const df = new Map();
+  for (const tf of counts) {
+    for (const term of tf.keys()) df.set(term, (df.get(term) || 0) + 1);
+  }
+
+  // Smoothed so terms every brand uses still count a little
+  const idf = (term) => Math.log((1 + documents.length) / (1 + df.get(term))) + 1;
+  return counts.map(tf => new Map([...tf].map(([term, count]) => [term, count * idf(term)])));
+}
+
+function cosine(a, b) {
+  let dot = 0, normA = 0, normB = 0;
+  for (const [term, weight] of a) {
+    normA += weight ** 2;
+    if (b.has(term)) dot += weight * b.get(term);
+  }
+  for (const weight of b.values()) normB += weight ** 2;
+  return normA && normB ? dot / Math.sqrt(normA * normB) : null;
+}
+
+// Whether the words of `inner` appear, in order and whole, inside `outer`
+function containsWords(outer, inner) {
+  const a = tokenize(outer);
+  const b = tokenize(inner);
+  for (let i = 0; i + b.length <= a.length; i++) {
+    if (b.every((word, j) => a[i + j] === word)) return true;
+  }
+  return false;
+}
+
+const sameMembers = (a, b) => a.length === b.length && a.every(name => b.includes(name));
+
+// Shared phrases ({ phrase, who }, most widely shared first) without the ones
+// a longer listed phrase already covers: "project management" goes when
+// "project management software" is listed for the same brands
+export function dropSubphrases(shared) {
+  return shared.filter((p, i) => !shared.slice(0, i).some(q => sameMembers(q.who, p.who) && containsWords(q.phrase, p.phrase)));
+}
+
+// Cosine similarity (0-1) of the first document to each of the others;
+// null where either has no meaningful words
+export function similarityToFirst(documents) {
+  const vectors = tfidfVectors(documents);
+  return vectors.slice(1).map(vector => cosine(vectors[0], vector));
+}
+
+// Jaccard overlap of two lists, case-insensitively (0-1)
+export function jaccard(listA, listB) {
+  const a = new Set((listA || []).map(item => item.toLowerCase()));
+  const b = new Set((listB || []).map(item => item.toLowerCase()));
+  if (a.size === 0 && b.size === 0) return 0;
+  const shared = [...a].filter(item => b.has(item)).length;
+  return shared / (a.size + b.size - shared);
+}
@@ -0,0 +1,100 @@
+// JSON-file store for audit records: one file per audit under AUDIT_DATA_DIR
+// (default ./data/audits), plus share-token pointers under shares/ next to
+// it. Writes for the same audit are queued so progress updates never
+// interleave, and each write goes through a temp file so a crash can't leave
+// half a record behind.
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+
+const DATA_DIR = process.env.AUDIT_DATA_DIR || fileURLToPath(new URL('../data/audits', import.meta.url));
+
+const SHARES_DIR = join(DATA_DIR, '..', 'shares');
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const TOKEN_PATTERN = /^[\w-]{20,64}$/;
+
+const pendingWrites = new Map();
+
+function auditPath(id) {
+  return join(DATA_DIR, `${id}.json`);
+}
+
+export function newAuditId() {
+  return randomUUID();
+}
+
+export function saveAudit(record) {
+  const previous = pendingWrites.get(record.id) || Promise.resolve();
+  const write = previous.then(async () => {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    const file = auditPath(record.id);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(record));
+    await fs.rename(`${file}.tmp`, file);
+  });
+
+  const settled = write.catch(() => {});
+  pendingWrites.set(record.id, settled);
+  settled.then(() => {
+    if (pendingWrites.get(record.id) === settled) pendingWrites.delete(record.id);
+  });
+  return write;
+}
+
+// Returns null for unknown or malformed IDs
+export async function loadAudit(id) {
+  if (!ID_PATTERN.test(id)) return null;
+  try {
+    return JSON.parse(await fs.readFile(auditPath(id), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+export async function listAudits() {
+  let files;
+  try {
+    files = await fs.readdir(DATA_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const audits = [];
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    try {
+      audits.push(JSON.parse(await fs.readFile(join(DATA_DIR, file), 'utf8')));
+    } catch (error) {
+      console.error(`Skipping unreadable audit ${file}:`, error.message);
+    }
+  }
+  return audits;
+}
+
+// Share tokens map an unguessable public token to the audit it exposes
+export async function saveShareToken(token, auditId) {
+  await fs.mkdir(SHARES_DIR, { recursive: true });
+  await fs.writeFile(join(SHARES_DIR, `${token}.json`), JSON.stringify({ token, auditId }));
+}
+
+export async function deleteShareToken(token) {
+  try {
+    await fs.unlink(join(SHARES_DIR, `${token}.json`));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+export async function loadShareToken(token) {
+  if (!TOKEN_PATTERN.test(token)) return null;
+  try {
+    return JSON.parse(await fs.readFile(join(SHARES_DIR, `${token}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
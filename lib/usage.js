@@ -0,0 +1,172 @@
+// Per-audit LLM usage and what it cost. runAudit wraps its work in
+// withLoggedUsage(); every LLM call made inside it, however deeply, is
+// recorded against that audit. Finished audits (and competitor suggestions)
+// are appended to a daily log under AUDIT_USAGE_DIR (default ./data/usage)
+// for the admin summary.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const USAGE_DIR = process.env.AUDIT_USAGE_DIR || fileURLToPath(new URL('../data/usage', import.meta.url));
+
+function pricesFromEnv() {
+  try {
+    return JSON.parse(process.env.LLM_PRICES || '{}');
+  } catch (error) {
+    console.error('Ignoring LLM_PRICES, not valid JSON:', error.message);
+    return {};
+  }
+}
+
+// USD per million tokens. Image tokens are billed as input tokens, so they're
+// already in input_tokens. LLM_PRICES (JSON, same shape) adds or overrides models.
+const PRICES = {
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  mock: { input: 0, output: 0 },
+  ...pricesFromEnv()
+};
+
+// Prices are listed by model family; dated and -latest names match by prefix
+function priceFor(model) {
+  const family = Object.keys(PRICES)
+    .filter(name => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return family ? PRICES[family] : null;
+}
+
+// Estimated USD for one call, or null for a model without a price
+export function estimateCost(model, inputTokens, outputTokens) {
+  const price = priceFor(model);
+  if (!price) return null;
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+const storage = new AsyncLocalStorage();
+
+// Run task with a fresh usage record; resolves to { result, usage }. If the
+// task fails, the calls it had already paid for are on error.usage.
+export async function withUsage(task) {
+  const usage = { calls: [] };
+  try {
+    const result = await storage.run(usage, task);
+    return { result, usage };
+  } catch (error) {
+    error.usage = usage;
+    throw error;
+  }
+}
+
+// Record one call against the current audit, if there is one
+export function recordCall(call) {
+  storage.getStore()?.calls.push({ ...call, costUsd: estimateCost(call.model, call.inputTokens, call.outputTokens) });
+}
+
+const roundCost = (usd) => Math.round(usd * 1e6) / 1e6;
+
+function total(calls) {
+  const sum = (field) => calls.reduce((acc, c) => acc + (c[field] || 0), 0);
+  return {
+    calls: calls.length,
+    retries: sum('retries'),
+    inputTokens: sum('inputTokens'),
+    outputTokens: sum('outputTokens'),
+    images: sum('images'),
+    latencyMs: sum('latencyMs'),
+    costUsd: roundCost(sum('costUsd')),
+    // Calls to models missing from the price list aren't in costUsd
+    unpricedCalls: calls.filter(c => c.costUsd === null).length
+  };
+}
+
+// Totals for the audit's metadata, overall and per step
+export function summarizeUsage(usage) {
+  const steps = [...new Set(usage.calls.map(c => c.step))];
+  return {
+    ...total(usage.calls),
+    models: [...new Set(usage.calls.map(c => c.model))],
+    steps: Object.fromEntries(steps.map(step => [step, total(usage.calls.filter(c => c.step === step))]))
+  };
+}
+
+const dayFile = (day) => join(USAGE_DIR, `${day}.jsonl`);
+
+// Append one finished audit (kind 'audit') or suggestion run ('suggestions')
+// to today's log, failed ones included. Logging failures never fail the audit.
+export async function logUsage(kind, summary, { failed = false } = {}) {
+  const entry = {
+    at: new Date().toISOString(),
+    kind,
+    failed,
+    calls: summary.calls,
+    inputTokens: summary.inputTokens,
+    outputTokens: summary.outputTokens,
+    images: summary.images,
+    costUsd: summary.costUsd,
+    unpricedCalls: summary.unpricedCalls
+  };
+  try {
+    await fs.mkdir(USAGE_DIR, { recursive: true });
+    await fs.appendFile(dayFile(entry.at.slice(0, 10)), JSON.stringify(entry) + '\n');
+  } catch (error) {
+    console.error('Error logging usage:', error.message);
+  }
+}
+
+// withUsage plus a line in the daily log, whether or not the task succeeds.
+// Resolves to { result, summary }.
+export async function withLoggedUsage(kind, task) {
+  let outcome;
+  try {
+    outcome = await withUsage(task);
+  } catch (error) {
+    if (error.usage) await logUsage(kind, summarizeUsage(error.usage), { failed: true });
+    throw error;
+  }
+  const summary = summarizeUsage(outcome.usage);
+  await logUsage(kind, summary);
+  return { result: outcome.result, summary };
+}
+
+// Per-day totals for the last `days` days (UTC), newest first
+export async function dailyUsage({ days = 30 } = {}) {
+  const summaries = [];
+  for (let i = 0; i < days; i++) {
+    const day = new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    let lines;
+    try {
+      lines = (await fs.readFile(dayFile(day), 'utf8')).split('\n').filter(Boolean);
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+    // A line cut short by a crash mid-append is skipped, not fatal
+    const entries = lines.flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        return [];
+      }
+    });
+    const sum = (field) => entries.reduce((acc, e) => acc + (e[field] || 0), 0);
+    summaries.push({
+      day,
+      audits: entries.filter(e => e.kind === 'audit').length,
+      failedAudits: entries.filter(e => e.kind === 'audit' && e.failed).length,
+      suggestions: entries.filter(e => e.kind === 'suggestions').length,
+      calls: sum('calls'),
+      inputTokens: sum('inputTokens'),
+      outputTokens: sum('outputTokens'),
+      images: sum('images'),
+      costUsd: roundCost(sum('costUsd')),
+      unpricedCalls: sum('unpricedCalls')
+    });
+  }
+  return summaries;
+}
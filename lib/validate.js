@@ -0,0 +1,57 @@
+// Minimal JSON Schema validation for Claude's structured outputs. Covers the
+// subset the step schemas in analysis.js use: type (or a list of types),
+// properties, required, items, enum, minItems/maxItems, minimum/maximum and
+// minLength.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+const matchesType = (value, type) =>
+  typeOf(value) === type || (type === 'number' && typeOf(value) === 'integer');
+
+// Problems with value against schema as readable strings ("score: must be <= 100");
+// empty when it's valid
+export function validate(value, schema, path = '') {
+  const at = path || 'value';
+  const types = [schema.type].flat().filter(Boolean);
+  if (types.length && !types.some(type => matchesType(value, type))) {
+    return [`${at}: must be ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${at}: must not be empty`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: allows at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path ? path + '.' : ''}${key}: is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validate(value[key], propertySchema, path ? `${path}.${key}` : key));
+    }
+  }
+
+  return errors;
+}
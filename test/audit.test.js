@@ -0,0 +1,104 @@
+// The whole audit offline: homepages from a local server, Claude from the
+// mock provider (fixtures/llm), search results from the fixture provider
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { promises as fs, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const page = (name) => readFileSync(new URL(`../fixtures/html/${name}`, import.meta.url), 'utf8');
+const PAGES = { '/brand': page('cookie-banner.html'), '/competitor': page('attribute-order.html') };
+
+const server = createServer((req, res) => {
+  const html = PAGES[req.url];
+  res.writeHead(html ? 200 : 404, { 'Content-Type': 'text/html' });
+  res.end(html || 'Not found');
+});
+
+let dir;
+let brand;
+let competitor;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, resolve));
+  const { port } = server.address();
+  // Different hosts, so each brand has its own domain in the search results
+  brand = `http://127.0.0.1:${port}/brand`;
+  competitor = `http://localhost:${port}/competitor`;
+
+  dir = await fs.mkdtemp(join(tmpdir(), 'audit-e2e-'));
+  await fs.mkdir(join(dir, 'serp'));
+  await fs.writeFile(join(dir, 'serp', 'mock-brand.json'), JSON.stringify({
+    results: [
+      { rank: 1, title: 'Northwind — Logistics software', url: brand, snippet: 'Route, track and bill.', sitelinks: [{ title: 'Pricing', url: `${brand}/pricing` }] },
+      { rank: 2, title: 'Acme vs Northwind', url: `${competitor}/vs`, snippet: '', sitelinks: [] }
+    ],
+    ads: [{ position: 1, title: 'Acme — Try it free', url: competitor }]
+  }));
+  await fs.writeFile(join(dir, 'serp', 'project-tools.json'), JSON.stringify({
+    results: [{ rank: 1, title: 'Acme', url: competitor, snippet: '', sitelinks: [] }],
+    ads: []
+  }));
+
+  Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    SERP_PROVIDER: 'fixture',
+    SERP_FIXTURES: join(dir, 'serp'),
+    AUDIT_CACHE_TTL_HOURS: '0',
+    AUDIT_USAGE_DIR: join(dir, 'usage'),
+    // No browser: the audit runs without screenshots, as on hosts without Chrome
+    PUPPETEER_EXECUTABLE_PATH: join(dir, 'no-chrome')
+  });
+});
+
+after(async () => {
+  server.close();
+  const { closeBrowser } = await import('../lib/browser.js');
+  await closeBrowser();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('runs an audit end to end without network or API keys', async () => {
+  const { parseAuditRequest, runAudit } = await import('../lib/audit.js');
+  const input = parseAuditRequest({
+    companyUrl: brand,
+    companyName: 'Mock Brand',
+    competitors: [{ name: 'Mock Competitor', url: competitor }],
+    keywords: ['project tools']
+  });
+
+  const events = [];
+  const result = await runAudit(input, { onProgress: (event) => events.push(event) });
+
+  assert.ok(result.score >= 0 && result.score <= 100);
+  assert.equal(result.verdict, 'Likeable, but it still reads like every other project tool.');
+  assert.deepEqual(result.chart.columns, ['Category', 'Mock Brand', 'Mock Competitor']);
+  assert.match(result.firstImpressions['Mock Brand'].firstImpression, /polished tool/);
+  assert.equal(result.firstImpressions['Mock Brand'].metaTitle, 'Northwind');
+  assert.ok(result.takeaways.keep.length > 0);
+  assert.ok(events.includes('comparison') && events.includes('takeaways'));
+
+  assert.equal(result.captures['Mock Brand'].desktop.status, 'unavailable');
+
+  assert.equal(result.serp.provider, 'fixture');
+  assert.equal(result.serp.brands['Mock Brand'].rank, 1);
+  assert.deepEqual(result.serp.brands['Mock Brand'].competitorsRanking, ['Mock Competitor']);
+  assert.deepEqual(result.serp.brands['Mock Brand'].competitorAds, ['Mock Competitor']);
+  assert.equal(result.serp.brands['Mock Competitor'].rank, null);
+  assert.deepEqual(result.serp.keywords, [
+    { query: 'project tools', rankings: { 'Mock Brand': null, 'Mock Competitor': 1 }, advertisers: [] }
+  ]);
+
+  assert.equal(result.seo['Mock Brand'].checks.find(c => c.id === 'headings').status, 'pass');
+  assert.equal(result.seo['Mock Competitor'].checks.find(c => c.id === 'canonical').status, 'pass');
+
+  assert.equal(result.meta.llm.models[0], 'mock');
+  assert.ok(result.meta.llm.calls >= 6);
+});
+
+test('rejects a request without competitors before doing any work', async () => {
+  const { parseAuditRequest } = await import('../lib/audit.js');
+  assert.throws(() => parseAuditRequest({ companyUrl: brand, companyName: 'Mock Brand', competitors: [] }), { statusCode: 400 });
+});
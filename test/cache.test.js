@@ -0,0 +1,41 @@
+// Expiry and cleanup of the file-backed cache
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const dir = await fs.mkdtemp(join(tmpdir(), 'audit-cache-'));
+process.env.AUDIT_CACHE_DIR = dir;
+// 0.36 seconds
+process.env.AUDIT_CACHE_TTL_HOURS = '0.0001';
+const { cached, sweepCache } = await import('../lib/cache.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const entries = async (namespace) => fs.readdir(join(dir, namespace)).catch(() => []);
+
+test('serves fresh entries and recomputes stale ones', async () => {
+  let calls = 0;
+  const compute = async () => ++calls;
+  assert.equal(await cached('pages', 'a', compute), 1);
+  assert.equal(await cached('pages', 'a', compute), 1);
+  await sleep(450);
+  assert.equal(await cached('pages', 'a', compute), 2);
+});
+
+test('deletes a stale entry on read even when the new value is not kept', async () => {
+  await cached('captures', 'b', async () => 'ok');
+  assert.equal((await entries('captures')).length, 1);
+  await sleep(450);
+  await cached('captures', 'b', async () => null);
+  assert.deepEqual(await entries('captures'), []);
+});
+
+test('sweeps expired entries nobody reads again', async () => {
+  await cached('visuals', 'c', async () => ({ big: 'x'.repeat(1000) }));
+  await sleep(450);
+  await sweepCache();
+  assert.deepEqual(await entries('visuals'), []);
+  await fs.rm(dir, { recursive: true, force: true });
+});
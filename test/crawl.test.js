@@ -0,0 +1,45 @@
+// robots.txt parsing and matching for the key-page crawl
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRobots, isAllowed, crawlSite } from '../lib/crawl.js';
+
+test('uses the * group when no group names us', () => {
+  const rules = parseRobots('User-agent: a\nDisallow: /\n\nUser-agent: *\nAllow: /\n');
+  assert.equal(isAllowed(rules, '/about'), true);
+});
+
+test('prefers a group naming our product token, in any case or version', () => {
+  for (const agent of ['BrandAuditBot', 'brandauditbot', 'BrandAuditBot/2.1']) {
+    const rules = parseRobots(`User-agent: *\nAllow: /\n\nUser-agent: ${agent}\nDisallow: /pricing\n`);
+    assert.equal(isAllowed(rules, '/pricing'), false, agent);
+    assert.equal(isAllowed(rules, '/about'), true, agent);
+  }
+});
+
+test('longest match wins, Allow wins ties', () => {
+  const rules = parseRobots('User-agent: *\nDisallow: /company\nAllow: /company/about\nDisallow: /*.pdf$\n');
+  assert.equal(isAllowed(rules, '/company/about'), true);
+  assert.equal(isAllowed(rules, '/company/jobs'), false);
+  assert.equal(isAllowed(rules, '/deck.pdf'), false);
+  assert.equal(isAllowed(rules, '/deck.pdf.html'), true);
+});
+
+test('checks each host against its own robots.txt', async () => {
+  const homepage = '<a href="/about">About</a><a href="https://www.acme.com/pricing">Pricing</a><a href="https://www.acme.com/careers">Careers</a>';
+  const robots = {
+    'https://acme.com': 'User-agent: *\nAllow: /\n',
+    'https://www.acme.com': 'User-agent: *\nDisallow: /pricing\n'
+  };
+  const requested = [];
+  const pages = await crawlSite('https://acme.com', homepage, {
+    pageBudget: 4,
+    fetchPage: async (url) => `<h1>${url}</h1>`,
+    getRobots: async (origin) => {
+      requested.push(origin);
+      return robots[origin];
+    }
+  });
+  assert.deepEqual(pages.map(p => p.url), ['https://acme.com/about', 'https://www.acme.com/careers']);
+  assert.deepEqual(requested, ['https://acme.com', 'https://www.acme.com']);
+});
@@ -0,0 +1,19 @@
+// CSV export of the comparison matrix
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv } from '../lib/exports.js';
+
+const csv = (values) => toCsv({
+  result: { chart: { columns: ['Category', 'Acme', 'Rival'], rows: [{ category: 'Positioning', values }] } }
+});
+
+test('quotes commas, quotes and line breaks', () => {
+  assert.equal(csv(['Fast, "simple"', 'Two\nlines']).split('\r\n')[1], 'Positioning,"Fast, ""simple""","Two\nlines"');
+});
+
+test('defuses cells that would run as spreadsheet formulas', () => {
+  const row = csv(['=HYPERLINK("http://evil.example")', '+1 for teams']).split('\r\n')[1];
+  assert.equal(row, `Positioning,"'=HYPERLINK(""http://evil.example"")",'+1 for teams`);
+  assert.equal(csv(['-50% off', '@mention']).split('\r\n')[1], `Positioning,'-50% off,'@mention`);
+});
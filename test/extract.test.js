@@ -0,0 +1,76 @@
+// extractStructuredContent against real-world markup in fixtures/html
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { extractStructuredContent } from '../lib/extract.js';
+
+const fixture = (name) => readFileSync(new URL(`../fixtures/html/${name}`, import.meta.url), 'utf8');
+const extract = (name) => extractStructuredContent(fixture(name), 'https://www.example.com/');
+
+test('reads tags whatever their attribute order, case and nesting', () => {
+  const page = extract('attribute-order.html');
+  assert.equal(page.metaTitle, 'Acme — Project tools for studios');
+  assert.equal(page.metaDescription, 'Plan, track & ship client work');
+  assert.equal(page.h1, 'Work without the sprawl');
+  assert.equal(page.subheadline, 'Acme keeps briefs, files and feedback in one place for teams of two to twenty.');
+  assert.equal(page.canonicalUrl, 'https://www.example.com/');
+  assert.deepEqual(page.ctas, ['Start free']);
+});
+
+test('decodes named and numeric entities', () => {
+  const page = extract('entities.html');
+  assert.equal(page.metaTitle, 'Café & Co – Coffee — “roasted daily”');
+  assert.equal(page.metaDescription, 'Beans from <small> farms, roasted in Zürich');
+  assert.equal(page.h1, 'Café & Co');
+  assert.equal(page.subheadline, 'We’ve roasted specialty coffee since 2009 … and we\'re still at it.');
+});
+
+test('skips a cookie banner and dialog that come before the first H2', () => {
+  const page = extract('cookie-banner.html');
+  assert.equal(page.h1, 'Logistics software that keeps up');
+  assert.equal(page.subheadline, 'Route, track and bill every shipment from one screen.');
+  assert.deepEqual(page.headings.map(h => h.text), [
+    'Logistics software that keeps up',
+    'Route, track and bill every shipment from one screen.',
+    'Built for mid-size carriers',
+    'Live tracking'
+  ]);
+  assert.deepEqual(page.nav, ['Home', 'Pricing', 'About']);
+  assert.deepEqual(page.ctas, ['Book a demo']);
+  assert.doesNotMatch(page.text, /cookies|privacy|newsletter|Careers/i);
+});
+
+test('keeps the page when <body> and its wrapper carry consent classes', () => {
+  const page = extract('consent-body.html');
+  assert.equal(page.h1, 'Bookkeeping for freelancers');
+  assert.equal(page.text, 'Bookkeeping for freelancers Send invoices, track expenses and file taxes in one app.');
+});
+
+test('finds the organization inside a JSON-LD @graph, past malformed blocks', () => {
+  assert.deepEqual(extract('json-ld-graph.html').organization, {
+    name: 'Fernhill Studio',
+    url: 'https://fernhill.studio/',
+    logo: 'https://fernhill.studio/logo.png',
+    description: 'Brand identity for independent food makers.',
+    sameAs: ['https://instagram.com/fernhill', 'https://linkedin.com/company/fernhill']
+  });
+});
+
+test('collects Open Graph and Twitter tags, first value wins', () => {
+  const page = extract('social-tags.html');
+  assert.deepEqual(page.openGraph, {
+    title: 'Lumen — Lighting design',
+    image: 'https://www.example.com/images/share.jpg',
+    imageWidth: '1200'
+  });
+  assert.deepEqual(page.twitter, { card: 'summary_large_image', site: '@lumen' });
+  assert.equal(page.canonicalUrl, 'https://lumen.example/');
+});
+
+test('copes with empty or missing HTML', () => {
+  const page = extractStructuredContent(null);
+  assert.equal(page.h1, '');
+  assert.equal(page.text, '');
+  assert.equal(page.organization, null);
+});
@@ -0,0 +1,39 @@
+// Phrase helpers shared by scoring and cliché detection
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { keyPhrases, dropSubphrases } from '../lib/similarity.js';
+
+test('key phrases are 2-3 word runs that stay inside a clause', () => {
+  const phrases = keyPhrases('Project management software. Built for teams');
+  assert.ok(phrases.has('project management software'));
+  assert.ok(phrases.has('project management'));
+  assert.ok(!phrases.has('software built'));
+});
+
+test('drops a phrase covered by a longer one shared as widely', () => {
+  const shared = [
+    { phrase: 'project management software', who: ['A', 'B'] },
+    { phrase: 'project management', who: ['A', 'B'] },
+    { phrase: 'creative teams', who: ['A', 'B'] },
+    { phrase: 'management software', who: ['A'] }
+  ];
+  assert.deepEqual(dropSubphrases(shared).map(p => p.phrase), ['project management software', 'creative teams', 'management software']);
+});
+
+test('keeps a subphrase shared by different brands, even as many', () => {
+  const shared = [
+    { phrase: 'project management software', who: ['A', 'B'] },
+    { phrase: 'project management', who: ['A', 'C'] }
+  ];
+  assert.equal(dropSubphrases(shared).length, 2);
+});
+
+test('only drops whole-word subphrases', () => {
+  const shared = [
+    { phrase: 'big data tools', who: ['A', 'B'] },
+    { phrase: 'data tool', who: ['A', 'B'] },
+    { phrase: 'data tools', who: ['B', 'A'] }
+  ];
+  assert.deepEqual(dropSubphrases(shared).map(p => p.phrase), ['big data tools', 'data tool']);
+});